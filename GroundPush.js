@@ -4,11 +4,52 @@
  * @param {Object} options  The options include:
  *
  * options.pushDepth  The intial depth of the push region.
+ * options.mode  'relative' to push the terrain by the pushDepth, 'flatten' to push it to the pushDepth as a
+ *               height above the ellipsoid, levelling the floor, or 'raise' to lift it by the pushDepth into a
+ *               block with vertical skirts. Defaults to 'relative'.
  * options.pushRectangle  The rectangle of the region to be pushed.
+ * options.pushPolygon  An array of Cesium.Cartographic or Cesium.Cartesian3 positions outlining the region
+ *                      to be pushed. Used instead of options.pushRectangle.
+ * options.pushCircle  An Object { center, radius } describing a circular region to be pushed, with the radius
+ *                     in metres. Used instead of options.pushRectangle.
+ * options.pushEllipse  An Object { center, semiMajor, semiMinor, rotation } describing an elliptical region to
+ *                      be pushed, with the axes in metres and the rotation in radians. Used instead of
+ *                      options.pushRectangle.
+ * options.ellipsoid  The ellipsoid used to convert Cesium.Cartesian3 positions and metres. Defaults to WGS84,
+ *                    or the ellipsoid of options.globe.
+ * options.globe  The Cesium.Globe to push. Other globes on the page, e.g. an overview map, render untouched.
+ *                Defaults to pushing every globe.
  * options.pushBaseTint  A Cesium.Cartesian3 Object representing the colour tint of the base of the pushed region. 
  * options.pushSidesTint  A Cesium.Cartesian3 Object representing the colour tint of the sides of the pushed region.
+ * options.pushColorRamp  An Object { stops, image, minimumDepth, maximumDepth, depthMode } colouring the pushed
+ *                        region by its depth, see the colorRamp option of GroundPushRegion.
+ * options.wallMode  'ramp' for sides that blend out over a thin ramp, or 'vertical' for vertical walls along
+ *                   the pushRectangle. Defaults to 'ramp'.
+ * options.blendWidth  The width of the ramp sides, in options.blendUnits. Defaults to a thousandth of the
+ *                     smaller side of the pushRectangle.
+ * options.blendUnits  'metres' or 'radians'. Defaults to 'metres'.
+ * options.blendProfile  The profile of the ramp sides, 'smoothstep', 'linear', 'cosine' or 'step', or a GLSL
+ *                       expression of x, from 0 at the outer edge of the sides to 1 at the inner edge, giving
+ *                       the push from 0 to 1. Defaults to 'smoothstep'.
+ * options.benches  An array of { depth, inset } Objects cutting the pushRectangle into benches, from the top
+ *                  down, with the depth and the inset from the previous bench in metres.
+ * options.depthTexture  An Image or Canvas, or an Object { values, width, height } with a Float32Array,
+ *                       covering the pushRectangle and shaping its floor, see GroundPushRegion.
+ * options.strata  An array of { topDepth, bottomDepth, color, image, imageSize } Objects colouring the sides by
+ *                 their depth below the original surface, see GroundPushRegion.
+ * options.contours  An Object { spacing, color, width } drawing contours on the pushed terrain every spacing
+ *                   metres of height, see GroundPushRegion.
+ * options.grid  An Object { spacing, color, lineWidth, origin } drawing a grid every spacing metres on the floor of
+ *               the region, see GroundPushRegion.
  *
- * Make changes to the pushDepth by accessing the gp.pushDepth property.
+ * The pushRectangle (or pushPolygon, pushCircle or pushEllipse), pushDepth and tints describe the default
+ * region. Further regions can be added with gp.addRegion, or all shapes can be left out and every region
+ * added that way.
+ *
+ * Make changes to the pushDepth and the colour ramp by accessing the gp.pushDepth and gp.pushColorRamp properties.
+ *
+ * Changing the shape of a region, or adding and removing regions, re-meshes the terrain tiles they
+ * cover. The gp.remeshCompleted event is raised once every affected tile in view has been re-meshed.
  */
 var GroundPush = function(Cesium, options) {
     "use strict";
@@ -23,56 +64,331 @@ var GroundPush = function(Cesium, options) {
     }
     this.Cesium = Cesium;
 
-    this.pushDepth = Cesium.defaultValue(options.pushDepth, 0.0);
+    options = Cesium.defaultValue(options, Cesium.defaultValue.EMPTY_OBJECT);
+
+    this._globe = options.globe;
+    this._ellipsoid = Cesium.defaultValue(options.ellipsoid, Cesium.defined(this._globe) ? this._globe.ellipsoid : Cesium.Ellipsoid.WGS84);
+    this._regions = [];
+    this._defaultRegion = undefined;
+
+    // The globe surface tile providers seen so far, the terrain of the tiles being re-meshed, and the tiles
+    // to re-mesh once their mesh has been published. A globe that already exists may have loaded tiles that
+    // need re-meshing straight away.
+    this._tileProviders = Cesium.defined(this._globe) ? [this._globe._surface.tileProvider] : [];
+    this._remeshingTerrain = [];
+    this._deferredRemeshTiles = [];
+    this._remeshRequested = false;
+
+    /**
+     * Raised once every rendered terrain tile affected by a change of regions has been re-meshed.
+     * @type {Event}
+     */
+    this.remeshCompleted = new Cesium.Event();
+
+    // Every GroundPush object on the same Cesium shares a single installation of the modifications
+    // below, which look up the regions of all of them in the registry.
+    var registry = Cesium._groundPushRegistry;
+    var installed = Cesium.defined(registry);
+    if (!installed) {
+        if (Cesium.defined(Cesium.HeightmapTerrainData.prototype._oldCreateMesh)) {
+            throw 'Cesium has already been modified by another copy of the GroundPush plugin.';
+        }
+        registry = {
+            groundPushes : [],
+            customUniforms : undefined,
+            elementIndexUint : false,
+            blendProfiles : []
+        };
+    }
+    this._registry = registry;
+
+    if (Cesium.defined(options.pushRectangle) || Cesium.defined(options.pushPolygon) ||
+            Cesium.defined(options.pushCircle) || Cesium.defined(options.pushEllipse)) {
+        this._defaultRegion = this.addRegion({
+            rectangle : options.pushRectangle,
+            polygon : options.pushPolygon,
+            circle : options.pushCircle,
+            ellipse : options.pushEllipse,
+            depth : options.pushDepth,
+            mode : options.mode,
+            baseTint : options.pushBaseTint,
+            sidesTint : options.pushSidesTint,
+            colorRamp : options.pushColorRamp,
+            wallMode : options.wallMode,
+            blendWidth : options.blendWidth,
+            blendUnits : options.blendUnits,
+            blendProfile : options.blendProfile,
+            benches : options.benches,
+            depthTexture : options.depthTexture,
+            strata : options.strata,
+            contours : options.contours,
+            grid : options.grid
+        });
+    }
 
-    if (!Cesium.defined(options.pushRectangle)) {
-        throw 'pushRectangle option must be defined at initialisation of GroundPush.';
+    registry.groundPushes.push(this);
+    if (installed) {
+        return;
     }
-    this.setInnerRectangle(options.pushRectangle);
-    
-    this.pushBaseTint = Cesium.defaultValue(options.pushBaseTint, new Cesium.Cartesian3(1.0, 1.0, 1.0));
-    this.pushSidesTint = Cesium.defaultValue(options.pushSidesTint, new Cesium.Cartesian3(1.0, 1.0, 1.0));
-    
-    var that = this;
+    Cesium._groundPushRegistry = registry;
     
 
     /**
      * Modifying the passed in Cesium to allow for ground pushing...
      */
 
+    // The slicing runs in GroundPushWorker when the browser supports Web Workers, and on the main
+    // thread otherwise. Like Cesium's own terrain tasks, tiles are postponed while the worker is busy.
+    var slicer = new GroundPushSlicer();
+    var slicerTasks = {};
+    var nextSlicerTaskId = 0;
+    var activeSlicerTasks = 0;
+
+    // Slices the mesh of a task the worker failed to slice on the main thread instead. Its buffers were
+    // transferred to the worker, so the mesh is created again from the terrain data, waiting for a turn
+    // while the task processor of the terrain is busy.
+    var sliceOnMainThread = function(task) {
+        var parameters = task.remesh();
+        if (!Cesium.defined(parameters)) {
+            setTimeout(function() {
+                sliceOnMainThread(task);
+            }, 0);
+            return;
+        }
+        Cesium.when(parameters, function(parameters) {
+            task.deferred.resolve(slicer.insertPushVertices(parameters));
+        }).otherwise(function(e) {
+            task.deferred.reject(e);
+        });
+    };
+
+    // Stops the worker, calling back every task still waiting for it.
+    var terminateWorker = function(callback) {
+        if (!Cesium.defined(worker)) {
+            return;
+        }
+        worker.terminate();
+        worker = registry.worker = undefined;
+        var tasks = slicerTasks;
+        slicerTasks = {};
+        activeSlicerTasks = 0;
+        for (var id in tasks) {
+            if (tasks.hasOwnProperty(id)) {
+                callback(tasks[id]);
+            }
+        }
+    };
+
+    var worker;
+    if (typeof Worker !== 'undefined') {
+        worker = registry.worker = new Worker(GroundPush.workerUrl);
+        worker.onmessage = function(event) {
+            var data = event.data;
+            var task = slicerTasks[data.id];
+            if (!Cesium.defined(task)) {
+                return;
+            }
+            delete slicerTasks[data.id];
+            activeSlicerTasks--;
+            if (Cesium.defined(data.error)) {
+                sliceOnMainThread(task);
+            } else {
+                task.deferred.resolve(data.result);
+            }
+        };
+        worker.onerror = function() {
+            // The worker could not be loaded, slice on the main thread from now on, starting with the
+            // tiles already posted to it.
+            terminateWorker(sliceOnMainThread);
+        };
+
+        // The last GroundPush object to be destroyed stops the worker. The meshes still being sliced are
+        // no longer wanted, their tasks are rejected.
+        registry.terminateWorker = function() {
+            terminateWorker(function(task) {
+                task.deferred.reject('GroundPush was destroyed while slicing the tile.');
+            });
+        };
+    }
+
+    // Slices a mesh, returning the new vertex and index buffers or a promise to them. The buffers are
+    // transferred to the worker, remesh returns the parameters of the mesh created again, or a promise to
+    // them, in case the worker fails to slice it.
+    var sliceMesh = function(parameters, remesh) {
+        if (!Cesium.defined(worker)) {
+            return slicer.insertPushVertices(parameters);
+        }
+
+        var id = nextSlicerTaskId++;
+        var deferred = Cesium.when.defer();
+        slicerTasks[id] = {
+            deferred : deferred,
+            remesh : remesh
+        };
+        activeSlicerTasks++;
+        worker.postMessage({
+            id : id,
+            parameters : parameters
+        }, [parameters.vertices.buffer, parameters.indices.buffer]);
+        return deferred.promise;
+    };
+
+    // Returns true if an edge of the rectangle of a region with vertical walls runs through or along the tile,
+    // including the edges of tiles next to the rectangle. Their vertices on the edge are flagged as the top
+    // of the wall.
+    var wallTouchesTile = function(wallRectangle, tileRectangle) {
+        var overlaps = tileRectangle.west <= wallRectangle.east && tileRectangle.east >= wallRectangle.west &&
+            tileRectangle.south <= wallRectangle.north && tileRectangle.north >= wallRectangle.south;
+        var inside = tileRectangle.west > wallRectangle.west && tileRectangle.east < wallRectangle.east &&
+            tileRectangle.south > wallRectangle.south && tileRectangle.north < wallRectangle.north;
+        return overlaps && !inside;
+    };
+
+    // The tile provider of the globe whose tile is being loaded. createMesh is only given the tiling scheme,
+    // which globes can share along with their terrain provider, so it is set around loadTile below.
+    var loadingTileProvider;
+
     // Wrapper for the createMesh function, modifies the vertices to provide the rectangle.
     var newCreateMesh = function(tilingScheme, x, y, level) {
-        var terrainMesh = this._oldCreateMesh(tilingScheme, x, y, level);
-
         var ellipsoid = tilingScheme.ellipsoid;
 
         var rectangle = tilingScheme.tileXYToRectangle(x, y, level);
         
-        // Check if the current tile contains any part of the rectangle
-        var tileContainsRectangle =
-            !Cesium.Rectangle.isEmpty(Cesium.Rectangle.intersectWith(rectangle, that._outerRectangle)) ||
-            !Cesium.Rectangle.isEmpty(Cesium.Rectangle.intersectWith(rectangle, that._innerRectangle));
+        // Collect the regions the current tile contains any part of, from every GroundPush object pushing
+        // the globe the tile is loaded for, and their slice lines.
+        var pushRegions = [];
+        var sliceLines = [];
+        var walls = [];
+        var groundPushes = registry.groundPushes;
+        for (var g = 0; g < groundPushes.length; g++) {
+            if (!groundPushes[g]._pushesTileProvider(loadingTileProvider)) {
+                continue;
+            }
+            for (var i = 0; i < groundPushes[g]._regions.length; i++) {
+                var region = groundPushes[g]._regions[i];
+                if (region._hasVerticalWalls() && wallTouchesTile(region._innerRectangle, rectangle)) {
+                    // Passed as a plain Object, like the slice lines below.
+                    var wallRectangle = region._innerRectangle;
+                    walls.push({ west : wallRectangle.west, south : wallRectangle.south, east : wallRectangle.east, north : wallRectangle.north });
+                }
+                if (!Cesium.Rectangle.isEmpty(Cesium.Rectangle.intersectWith(rectangle, region._outerRectangle))) {
+                    pushRegions.push(region);
+                    var regionLines = region._getSliceLines();
+                    for (var j = 0; j < regionLines.length; j++) {
+                        if (!Cesium.Rectangle.isEmpty(Cesium.Rectangle.intersectWith(rectangle, regionLines[j].rectangle))) {
+                            sliceLines.push(regionLines[j]);
+                        }
+                    }
+                }
+            }
+        }
         
+        // Expands the bounds of the finished mesh by the push.
+        var finishMesh = function(result) {
+            if (Cesium.defined(result) && pushRegions.length > 0) {
+                // The vertex shader moves the vertices, so the bounding volumes and the horizon occlusion point
+                // have to follow to keep the tile from being culled. The unpushed ones are kept for later
+                // changes of depth.
+                result._groundPushBounds = {
+                    minimumHeight : result.minimumHeight,
+                    maximumHeight : result.maximumHeight,
+                    boundingSphere3D : Cesium.BoundingSphere.clone(result.boundingSphere3D),
+                    occludeePointInScaledSpace : Cesium.Cartesian3.clone(result.occludeePointInScaledSpace)
+                };
+                updatePushedBounds(result, result._groundPushBounds, rectangle, pushRegions, ellipsoid);
+            }
+            return result;
+        };
+
+        var slice = sliceLines.length > 0 || walls.length > 0;
+        if (slice && activeSlicerTasks >= GroundPush.MAXIMUM_ACTIVE_SLICER_TASKS) {
+            // Postponed, before the original createMesh starts a task of its own.
+            return undefined;
+        }
+
+        // Quantized-mesh terrain with normals has them octahedral encoded after the texture coordinates.
+        var hasVertexNormals = Cesium.defined(this._encodedNormals);
+
+        // Heightmap terrain shares its index buffer with every tile of the same size, so it is copied before
+        // being transferred to the worker. The other buffers are the tile's own.
+        var sharesIndices = this instanceof Cesium.HeightmapTerrainData;
+
+        // The slice lines are copied to the worker, so they are passed as plain Objects.
+        var lines = [];
+        for (var l = 0; l < sliceLines.length; l++) {
+            var line = sliceLines[l].line;
+            var lineRectangle = sliceLines[l].rectangle;
+            lines.push({
+                line : { x : line.x, y : line.y, z : line.z },
+                rectangle : { west : lineRectangle.west, south : lineRectangle.south, east : lineRectangle.east, north : lineRectangle.north }
+            });
+        }
+
+        // Returns the parameters slicing a mesh, whose buffers are transferred to the worker if transfer is true.
+        var getSliceParameters = function(mesh, transfer) {
+            return {
+                sliceLines : lines,
+                vertices : mesh.vertices,
+                indices : transfer && sharesIndices ? new Uint16Array(mesh.indices) : mesh.indices,
+                tileRectangle : { west : rectangle.west, south : rectangle.south, east : rectangle.east, north : rectangle.north },
+                ellipsoidRadii : { x : ellipsoid.radii.x, y : ellipsoid.radii.y, z : ellipsoid.radii.z },
+                center : { x : mesh.center.x, y : mesh.center.y, z : mesh.center.z },
+                elementIndexUint : registry.elementIndexUint,
+                walls : walls,
+                hasVertexNormals : hasVertexNormals
+            };
+        };
+
+        // Creates the mesh again if the worker fails to slice it. The original createMesh is kept, it is
+        // removed from the prototype when GroundPush is destroyed.
+        var terrainData = this;
+        var oldCreateMesh = this._oldCreateMesh;
+        var remesh = function() {
+            var mesh = oldCreateMesh.call(terrainData, tilingScheme, x, y, level);
+            if (!Cesium.defined(mesh)) {
+                return undefined;
+            }
+            return Cesium.when(mesh, function(mesh) {
+                return getSliceParameters(mesh, false);
+            });
+        };
+
+        var terrainMesh = this._oldCreateMesh(tilingScheme, x, y, level);
         if (!Cesium.defined(terrainMesh)) {
             // Postponed
             return undefined;
         }
         
         return Cesium.when(terrainMesh, function(result) {
-            if (Cesium.defined(result) && tileContainsRectangle) {
-                var slicedResult = insertPushVertices({
-                    innerRectangle : that._innerRectangle,
-                    outerRectangle : that._outerRectangle,
-                    vertices : result.vertices,
-                    indices : result.indices,
-                    tileRectangle : rectangle,
-                    ellipsoid : ellipsoid,
-                    center : result.center
-                });
-                result.vertices = new Float32Array(slicedResult.vertices);
-                result.indices = new Uint16Array(slicedResult.indices);
+            if (!Cesium.defined(result) || !slice) {
+                return finishMesh(result);
             }
-            return result;
+
+            var slicing = sliceMesh(getSliceParameters(result, Cesium.defined(worker)), remesh);
+            return Cesium.when(slicing, function(slicedResult) {
+                result.vertices = new Float32Array(slicedResult.vertices);
+                result.indices = slicedResult.uint32Indices ? new Uint32Array(slicedResult.indices) : new Uint16Array(slicedResult.indices);
+
+                var subMeshes = slicedResult.subMeshes;
+                if (Cesium.defined(subMeshes)) {
+                    // Cesium creates the vertex array of the first sub-mesh, the others are created once the
+                    // tile terrain is ready. The whole mesh is put back for picking then.
+                    result._groundPushSplit = {
+                        vertices : result.vertices,
+                        indices : result.indices,
+                        subMeshes : []
+                    };
+                    for (var s = 0; s < subMeshes.length; s++) {
+                        result._groundPushSplit.subMeshes.push({
+                            vertices : new Float32Array(subMeshes[s].vertices),
+                            indices : new Uint16Array(subMeshes[s].indices)
+                        });
+                    }
+                    result.vertices = result._groundPushSplit.subMeshes[0].vertices;
+                    result.indices = result._groundPushSplit.subMeshes[0].indices;
+                }
+                return finishMesh(result);
+            });
         });
     };
 
@@ -81,81 +397,900 @@ var GroundPush = function(Cesium, options) {
     Cesium.HeightmapTerrainData.prototype.createMesh = newCreateMesh;
     Cesium.QuantizedMeshTerrainData.prototype._oldCreateMesh = Cesium.QuantizedMeshTerrainData.prototype.createMesh;
     Cesium.QuantizedMeshTerrainData.prototype.createMesh = newCreateMesh;
-    
 
-    // Replace the original Cesium.GlobeSurfaceShaderSet with our custom one.
-    Cesium.GlobeSurfaceShaderSet.prototype = GroundPushGlobeSurfaceShaderSet.prototype;
+    // The terrain of a tile is meshed while its globe's tile provider loads it.
+    Cesium.GlobeSurfaceTileProvider.prototype._oldLoadTile = Cesium.GlobeSurfaceTileProvider.prototype.loadTile;
+    Cesium.GlobeSurfaceTileProvider.prototype.loadTile = function(context, frameState, tile) {
+        loadingTileProvider = this;
+        try {
+            this._oldLoadTile(context, frameState, tile);
+        } finally {
+            loadingTileProvider = undefined;
+        }
+    };
+
+    // Creates a vertex array for a sub-mesh laid out like Cesium lays out terrain meshes.
+    var createSubMeshVertexArray = function(context, terrainProvider, subMesh) {
+        var datatype = Cesium.ComponentDatatype.FLOAT;
+        var stride;
+        var numTexCoordComponents;
+        if (terrainProvider.hasVertexNormals) {
+            stride = 8 * Cesium.ComponentDatatype.getSizeInBytes(datatype);
+            numTexCoordComponents = 4;
+        } else {
+            stride = 6 * Cesium.ComponentDatatype.getSizeInBytes(datatype);
+            numTexCoordComponents = 2;
+        }
+
+        var vertexBuffer = context.createVertexBuffer(subMesh.vertices, Cesium.BufferUsage.STATIC_DRAW);
+        var position3DAndHeightLength = 4;
+        var attributes = [{
+            index : Cesium.terrainAttributeLocations.position3DAndHeight,
+            vertexBuffer : vertexBuffer,
+            componentDatatype : datatype,
+            componentsPerAttribute : position3DAndHeightLength,
+            offsetInBytes : 0,
+            strideInBytes : stride
+        }, {
+            index : Cesium.terrainAttributeLocations.textureCoordAndEncodedNormals,
+            vertexBuffer : vertexBuffer,
+            componentDatatype : datatype,
+            componentsPerAttribute : numTexCoordComponents,
+            offsetInBytes : position3DAndHeightLength * Cesium.ComponentDatatype.getSizeInBytes(datatype),
+            strideInBytes : stride
+        }];
+
+        var indexBuffer = context.createIndexBuffer(subMesh.indices, Cesium.BufferUsage.STATIC_DRAW, Cesium.IndexDatatype.UNSIGNED_SHORT);
+        return context.createVertexArray(attributes, indexBuffer);
+    };
+
+    var destroyVertexArrays = function(vertexArrays) {
+        if (Cesium.defined(vertexArrays)) {
+            for (var i = 0; i < vertexArrays.length; i++) {
+                vertexArrays[i].destroy();
+            }
+        }
+    };
+
+    // Once Cesium has created the vertex array of the first sub-mesh of a split mesh, the vertex arrays
+    // of the other sub-meshes are created alongside it.
+    var createSubMeshVertexArrays = function(tileTerrain, context, terrainProvider) {
+        var split = Cesium.defined(tileTerrain.mesh) ? tileTerrain.mesh._groundPushSplit : undefined;
+        if (tileTerrain.state !== Cesium.TerrainState.READY || !Cesium.defined(split) || Cesium.defined(tileTerrain._groundPushVertexArrays)) {
+            return;
+        }
+
+        tileTerrain._groundPushVertexArrays = [];
+        for (var i = 1; i < split.subMeshes.length; i++) {
+            tileTerrain._groundPushVertexArrays.push(createSubMeshVertexArray(context, terrainProvider, split.subMeshes[i]));
+        }
+        tileTerrain.mesh.vertices = split.vertices;
+        tileTerrain.mesh.indices = split.indices;
+    };
+
+    // Cesium creates the vertex array of a transformed mesh with the index buffer its indices hold for the
+    // context, or a new one of Uint16 indices. Sliced meshes with too many vertices for them come with Uint32
+    // indices, whose index buffer is created before the vertex array, shared the way Cesium shares its own.
+    // The meshes arrive from a worker, so they are transformed before the state machine next runs.
+    var createUint32IndexBuffer = function(tileTerrain, context) {
+        if (tileTerrain.state !== Cesium.TerrainState.TRANSFORMED || !(tileTerrain.mesh.indices instanceof Uint32Array)) {
+            return;
+        }
+
+        var indices = tileTerrain.mesh.indices;
+        var indexBuffers = Cesium.defaultValue(indices.indexBuffers, {});
+        var indexBuffer = indexBuffers[context.id];
+        if (Cesium.defined(indexBuffer) && !indexBuffer.isDestroyed()) {
+            return;
+        }
+        indexBuffer = context.createIndexBuffer(indices, Cesium.BufferUsage.STATIC_DRAW, Cesium.IndexDatatype.UNSIGNED_INT);
+        indexBuffer.vertexArrayDestroyable = false;
+        indexBuffer.referenceCount = 0;
+        indexBuffers[context.id] = indexBuffer;
+        indices.indexBuffers = indexBuffers;
+    };
+
+    Cesium.TileTerrain.prototype._oldProcessLoadStateMachine = Cesium.TileTerrain.prototype.processLoadStateMachine;
+    Cesium.TileTerrain.prototype.processLoadStateMachine = function(context, terrainProvider, x, y, level) {
+        createUint32IndexBuffer(this, context);
+        this._oldProcessLoadStateMachine(context, terrainProvider, x, y, level);
+        createSubMeshVertexArrays(this, context, terrainProvider);
+    };
+    Cesium.TileTerrain.prototype._oldProcessUpsampleStateMachine = Cesium.TileTerrain.prototype.processUpsampleStateMachine;
+    Cesium.TileTerrain.prototype.processUpsampleStateMachine = function(context, terrainProvider, x, y, level) {
+        createUint32IndexBuffer(this, context);
+        this._oldProcessUpsampleStateMachine(context, terrainProvider, x, y, level);
+        createSubMeshVertexArrays(this, context, terrainProvider);
+    };
+
+    // The vertex arrays of the sub-meshes are handed to the tile with the vertex array of the first one,
+    // and freed with it.
+    Cesium.TileTerrain.prototype._oldPublishToTile = Cesium.TileTerrain.prototype.publishToTile;
+    Cesium.TileTerrain.prototype.publishToTile = function(tile) {
+        this._oldPublishToTile(tile);
+        tile.data._groundPushVertexArrays = this._groundPushVertexArrays;
+        this._groundPushVertexArrays = undefined;
+    };
+    Cesium.TileTerrain.prototype._oldFreeResources = Cesium.TileTerrain.prototype.freeResources;
+    Cesium.TileTerrain.prototype.freeResources = function() {
+        this._oldFreeResources();
+        destroyVertexArrays(this._groundPushVertexArrays);
+        this._groundPushVertexArrays = undefined;
+    };
+    Cesium.GlobeSurfaceTile.prototype._oldFreeVertexArray = Cesium.GlobeSurfaceTile.prototype.freeVertexArray;
+    Cesium.GlobeSurfaceTile.prototype.freeVertexArray = function() {
+        this._oldFreeVertexArray();
+        destroyVertexArrays(this._groundPushVertexArrays);
+        this._groundPushVertexArrays = undefined;
+    };
+
+    // The shader set of every pushed globe is swapped over to our custom GroundPushGlobeSurfaceShaderSet
+    // in endUpdate, leaving the shader sets of other globes alone.
     
     // Intercepts the getShaderProgram function and replaces the current vertex and fragment shaders
     // allowing to push vertices and texture the push region.
-    Cesium.GlobeSurfaceShaderSet.prototype._oldGetShaderProgram = Cesium.GlobeSurfaceShaderSet.prototype.getShaderProgram;
-    Cesium.GlobeSurfaceShaderSet.prototype.getShaderProgram = function(context, textureCount, applyBrightness, applyContrast, applyHue, applySaturation, applyGamma, applyAlpha) {
-        // Text to replace is after the first occurance of '#line 0' but before the next occurance of '#line 0'
-        var end = this.baseVertexShaderString.indexOf('#line 0', this.baseVertexShaderString.indexOf('#line 0') + 1);
+    GroundPushGlobeSurfaceShaderSet.prototype._oldGetShaderProgram = GroundPushGlobeSurfaceShaderSet.prototype.getShaderProgram;
+    GroundPushGlobeSurfaceShaderSet.prototype.getShaderProgram = function(context, textureCount, applyBrightness, applyContrast, applyHue, applySaturation, applyGamma, applyAlpha) {
+        // Keep the shaders set by the globe so destroy can put them back.
+        if (this.baseVertexShaderString !== this._groundPushVertexShaderString) {
+            this._oldBaseVertexShaderString = this.baseVertexShaderString;
+        }
+        if (this.baseFragmentShaderString !== this._groundPushFragmentShaderString) {
+            this._oldBaseFragmentShaderString = this.baseFragmentShaderString;
+        }
+
+        // Text to replace is after the first occurance of '#line 0' but before the next occurance of '#line 0'.
+        // The defines before it, such as ENABLE_VERTEX_LIGHTING, are kept.
+        var vertexShader = GroundPushGlobeVS + createCustomBlendProfiles();
+        if (context.maximumVertexTextureImageUnits > 0) {
+            // Depth textures are sampled in the vertex shader, which not every GPU can do.
+            vertexShader = vertexShader.replace('#line 0\n', '#line 0\n#define PUSH_DEPTH_TEXTURE\n');
+        }
+        var start = Math.max(this.baseVertexShaderString.indexOf('#line 0'), 0);
+        var end = this.baseVertexShaderString.indexOf('#line 0', start + 1);
         if (end < 0) {
-            this.baseVertexShaderString = GroundPushGlobeVS;
+            this.baseVertexShaderString = this.baseVertexShaderString.substring(0, start) + vertexShader;
         } else {
-            this.baseVertexShaderString = GroundPushGlobeVS + this.baseVertexShaderString.substring(end);
+            this.baseVertexShaderString = this.baseVertexShaderString.substring(0, start) + vertexShader + this.baseVertexShaderString.substring(end);
         }
+        this._groundPushBlendProfiles = registry.blendProfiles;
 
         // console.log(this.baseFragmentShaderString);
-        end = this.baseFragmentShaderString.indexOf('#line 0', this.baseFragmentShaderString.indexOf('#line 0') + 1);
+        start = Math.max(this.baseFragmentShaderString.indexOf('#line 0'), 0);
+        end = this.baseFragmentShaderString.indexOf('#line 0', start + 1);
         if (end < 0) {
-            this.baseFragmentShaderString = GroundPushGlobeFS;
+            this.baseFragmentShaderString = this.baseFragmentShaderString.substring(0, start) + GroundPushGlobeFS;
         } else {
-            this.baseFragmentShaderString = GroundPushGlobeFS + this.baseFragmentShaderString.substring(end);
+            this.baseFragmentShaderString = this.baseFragmentShaderString.substring(0, start) + GroundPushGlobeFS + this.baseFragmentShaderString.substring(end);
         }
 
+        this._groundPushVertexShaderString = this.baseVertexShaderString;
+        this._groundPushFragmentShaderString = this.baseFragmentShaderString;
+
         return this._oldGetShaderProgram(context, textureCount, applyBrightness, applyContrast, applyHue, applySaturation, applyGamma, applyAlpha);
     };
     
+    // Creates the customPushBlendProfile function of GroundPushGlobeVS, evaluating the GLSL expressions of the
+    // custom blend profiles in use.
+    var createCustomBlendProfiles = function() {
+        var source = '\nfloat customPushBlendProfile(float profile, float x)\n{\n';
+        for (var i = 0; i < registry.blendProfiles.length; i++) {
+            source += '    if (profile == ' + (GroundPushRegion.BLEND_PROFILE_CUSTOM + i).toFixed(1) + ') return float(' + registry.blendProfiles[i] + ');\n';
+        }
+        return source + '    return x;\n}\n';
+    };
+
+    // Keeps the custom blend profiles of the registry to those used by the regions of every GroundPush object,
+    // dropping the ones no region uses any more. Profiles keep their place while they are used, new ones are
+    // added at the end. The list is replaced rather than changed, so shader sets built for an older one can tell.
+    var updateBlendProfiles = function() {
+        var used = {};
+        var profiles = [];
+        for (var g = 0; g < registry.groundPushes.length; g++) {
+            var groundPushRegions = registry.groundPushes[g]._regions;
+            for (var i = 0; i < groundPushRegions.length; i++) {
+                var profile = groundPushRegions[i]._blendProfile;
+                if (GroundPushRegion.BLEND_PROFILE_VALUES.hasOwnProperty(profile)) {
+                    continue;
+                }
+                if (!used.hasOwnProperty(profile)) {
+                    used[profile] = true;
+                    profiles.push(profile);
+                }
+            }
+        }
+
+        var blendProfiles = registry.blendProfiles.filter(function(profile) {
+            return used.hasOwnProperty(profile);
+        });
+        for (var p = 0; p < profiles.length; p++) {
+            if (blendProfiles.indexOf(profiles[p]) < 0) {
+                blendProfiles.push(profiles[p]);
+            }
+        }
+        if (blendProfiles.join('\n') !== registry.blendProfiles.join('\n')) {
+            registry.blendProfiles = blendProfiles;
+        }
+    };
+
+    // Returns the value of the blend profile of a region for the u_pushBlendProfiles uniform.
+    var getBlendProfileValue = function(region) {
+        var profile = region._blendProfile;
+        if (GroundPushRegion.BLEND_PROFILE_VALUES.hasOwnProperty(profile)) {
+            return GroundPushRegion.BLEND_PROFILE_VALUES[profile];
+        }
+        return GroundPushRegion.BLEND_PROFILE_CUSTOM + registry.blendProfiles.indexOf(profile);
+    };
+
+    // Creates the region uniform values of a tile provider, refreshed once per frame by updateRegionUniforms.
+    var createRegionUniforms = function() {
+        var regionUniforms = {
+            count : 0,
+            shapes : [],
+            polygonVertices : [],
+            ellipses : [],
+            rectangles : [],
+            depths : [],
+            blends : [],
+            blendProfiles : [],
+            modes : [],
+            regionBenches : [],
+            benches : [],
+            baseTints : [],
+            sidesTints : [],
+            regionStrata : [],
+            strata : [],
+            strataColors : [],
+            strataImages : [],
+            strataTexture : undefined,
+            colorRamps : [],
+            colorRampRows : [],
+            colorRampTexture : undefined,
+            contours : [],
+            contourColors : [],
+            grids : [],
+            gridOrigins : [],
+            gridColors : [],
+            depthTexture : undefined,
+            depthTextureParameters : new Cesium.Cartesian4(-1.0, 0.0, 1.0, 1.0),
+            depthTextureRange : new Cesium.Cartesian2(0.0, 1.0)
+        };
+        for (var r = 0; r < GroundPush.MAXIMUM_REGIONS; r++) {
+            regionUniforms.shapes.push(new Cesium.Cartesian4());
+            regionUniforms.ellipses.push(new Cesium.Cartesian4());
+            regionUniforms.rectangles.push(new Cesium.Cartesian4());
+            regionUniforms.depths.push(0.0);
+            regionUniforms.blends.push(0.0);
+            regionUniforms.blendProfiles.push(0.0);
+            regionUniforms.modes.push(0.0);
+            regionUniforms.regionBenches.push(new Cesium.Cartesian2());
+            regionUniforms.regionStrata.push(new Cesium.Cartesian2());
+            regionUniforms.colorRamps.push(new Cesium.Cartesian4());
+            regionUniforms.colorRampRows.push(undefined);
+            regionUniforms.contours.push(new Cesium.Cartesian2());
+            regionUniforms.contourColors.push(new Cesium.Cartesian4());
+            regionUniforms.grids.push(new Cesium.Cartesian4());
+            regionUniforms.gridOrigins.push(new Cesium.Cartesian2());
+            regionUniforms.gridColors.push(new Cesium.Cartesian4());
+            regionUniforms.baseTints.push(new Cesium.Cartesian3());
+            regionUniforms.sidesTints.push(new Cesium.Cartesian3());
+        }
+        for (var v = 0; v < GroundPush.MAXIMUM_POLYGON_VERTICES; v++) {
+            regionUniforms.polygonVertices.push(new Cesium.Cartesian2());
+        }
+        for (var b = 0; b < GroundPush.MAXIMUM_BENCHES; b++) {
+            regionUniforms.benches.push(new Cesium.Cartesian4());
+        }
+        for (var s = 0; s < GroundPush.MAXIMUM_STRATA; s++) {
+            regionUniforms.strata.push(new Cesium.Cartesian4());
+            regionUniforms.strataColors.push(new Cesium.Cartesian4());
+        }
+        return regionUniforms;
+    };
+
+    var scratchGridOrigin = new Cesium.Cartographic();
+
+    // Copies the current state of the regions into the fixed size uniform arrays.
+    var updateRegionUniforms = function(regionUniforms, regions) {
+        regionUniforms.count = Math.min(regions.length, GroundPush.MAXIMUM_REGIONS);
+        // Polygon vertices of all regions are packed one after another, each region's shape
+        // holds the type, the first vertex and the vertex count, or the rotation of an ellipse.
+        var vertexOffset = 0;
+        // Benches are packed the same way, each with the inset of the edge at its end, its depth and the width
+        // of the ramp to the next level, and each region's benches hold the first bench and the bench count.
+        var benchOffset = 0;
+        // Strata too, each with its depths, its image in the strata texture or -1 and the size of the image.
+        var strataOffset = 0;
+        regionUniforms.strataImages.length = 0;
+        // The depth texture parameters hold the region with the depth texture, or -1, whether its values are
+        // packed into the red and green channels, and its size, with the range of the packed values.
+        Cesium.Cartesian4.fromElements(-1.0, 0.0, 1.0, 1.0, regionUniforms.depthTextureParameters);
+        Cesium.Cartesian2.fromElements(0.0, 1.0, regionUniforms.depthTextureRange);
+
+        for (var i = 0; i < GroundPush.MAXIMUM_REGIONS; i++) {
+            var region = regions[i];
+            if (Cesium.defined(region)) {
+                var polygon = region._polygon;
+                if (Cesium.defined(polygon)) {
+                    for (var j = 0; j < polygon.length; j++) {
+                        Cesium.Cartesian2.fromElements(polygon[j].longitude, polygon[j].latitude, regionUniforms.polygonVertices[vertexOffset + j]);
+                    }
+                    Cesium.Cartesian4.fromElements(GroundPushRegion.POLYGON, vertexOffset, polygon.length, 0.0, regionUniforms.shapes[i]);
+                    vertexOffset += polygon.length;
+                } else if (Cesium.defined(region._ellipse)) {
+                    var ellipse = region._ellipse;
+                    var radii = region._getEllipseRadii();
+                    Cesium.Cartesian4.fromElements(ellipse.center.longitude, ellipse.center.latitude, radii.x, radii.y, regionUniforms.ellipses[i]);
+                    Cesium.Cartesian4.fromElements(GroundPushRegion.ELLIPSE, 0.0, 0.0, ellipse.rotation, regionUniforms.shapes[i]);
+                } else {
+                    Cesium.Cartesian4.fromElements(GroundPushRegion.RECTANGLE, 0.0, 0.0, 0.0, regionUniforms.shapes[i]);
+                }
+
+                var rectangle = region._innerRectangle;
+                Cesium.Cartesian4.fromElements(rectangle.west, rectangle.south, rectangle.east, rectangle.north, regionUniforms.rectangles[i]);
+                regionUniforms.depths[i] = region.depth;
+                regionUniforms.blends[i] = region.pushBlend;
+                regionUniforms.blendProfiles[i] = getBlendProfileValue(region);
+                regionUniforms.modes[i] = GroundPushRegion.MODE_VALUES[region._mode];
+
+                var benches = region._getActiveBenches();
+                var benchInsets = region._getBenchInsets();
+                var benchBlend = region._getBenchBlend();
+                for (var b = 0; b < benches.length; b++) {
+                    Cesium.Cartesian4.fromElements(benchInsets[b], benches[b].depth, benchBlend, 0.0, regionUniforms.benches[benchOffset + b]);
+                }
+                Cesium.Cartesian2.fromElements(benchOffset, benches.length, regionUniforms.regionBenches[i]);
+                benchOffset += benches.length;
+
+                var strata = region._strata;
+                for (var s = 0; s < strata.length; s++) {
+                    var stratum = strata[s];
+                    var imageIndex = -1;
+                    if (stratum.imageReady) {
+                        imageIndex = regionUniforms.strataImages.indexOf(stratum.image);
+                        if (imageIndex < 0) {
+                            imageIndex = regionUniforms.strataImages.length;
+                            regionUniforms.strataImages.push(stratum.image);
+                        }
+                    }
+                    Cesium.Cartesian4.fromElements(stratum.topDepth, stratum.bottomDepth, imageIndex, stratum.imageSize, regionUniforms.strata[strataOffset + s]);
+                    Cesium.Cartesian4.fromElements(stratum.color.red, stratum.color.green, stratum.color.blue, stratum.color.alpha, regionUniforms.strataColors[strataOffset + s]);
+                }
+                Cesium.Cartesian2.fromElements(strataOffset, strata.length, regionUniforms.regionStrata[i]);
+                strataOffset += strata.length;
+
+                // Each region's colour ramp is a row of the colour ramp texture, with its depth mode and range.
+                var colorRamp = regionUniforms.colorRampRows[i] = region._getColorRamp();
+                if (Cesium.defined(colorRamp)) {
+                    Cesium.Cartesian4.fromElements(i, colorRamp.absolute ? 1.0 : 0.0, colorRamp.minimumDepth, colorRamp.maximumDepth, regionUniforms.colorRamps[i]);
+                } else {
+                    Cesium.Cartesian4.fromElements(-1.0, 0.0, 0.0, 1.0, regionUniforms.colorRamps[i]);
+                }
+
+                // Contours are drawn every spacing metres with a width in pixels, a spacing of zero draws none.
+                var contours = region._contours;
+                if (Cesium.defined(contours)) {
+                    Cesium.Cartesian2.fromElements(contours.spacing, contours.width, regionUniforms.contours[i]);
+                    Cesium.Cartesian4.fromElements(contours.color.red, contours.color.green, contours.color.blue, contours.color.alpha, regionUniforms.contourColors[i]);
+                } else {
+                    Cesium.Cartesian2.clone(Cesium.Cartesian2.ZERO, regionUniforms.contours[i]);
+                }
+
+                // The grid is drawn every spacing metres from its origin, which the fragment shader measures
+                // its offsets from in metres per radian of longitude and latitude.
+                var grid = region._grid;
+                if (Cesium.defined(grid)) {
+                    var gridOrigin = Cesium.defined(grid.origin) ? grid.origin : Cesium.Rectangle.southwest(region._innerRectangle, scratchGridOrigin);
+                    var metresPerRadian = region._groundPush._ellipsoid.maximumRadius;
+                    Cesium.Cartesian4.fromElements(grid.spacing, grid.lineWidth, metresPerRadian * Math.cos(gridOrigin.latitude), metresPerRadian, regionUniforms.grids[i]);
+                    Cesium.Cartesian2.fromElements(gridOrigin.longitude, gridOrigin.latitude, regionUniforms.gridOrigins[i]);
+                    Cesium.Cartesian4.fromElements(grid.color.red, grid.color.green, grid.color.blue, grid.color.alpha, regionUniforms.gridColors[i]);
+                } else {
+                    Cesium.Cartesian4.clone(Cesium.Cartesian4.ZERO, regionUniforms.grids[i]);
+                }
+
+                var depthTexture = region._depthTexture;
+                if (Cesium.defined(depthTexture) && depthTexture.ready) {
+                    Cesium.Cartesian4.fromElements(i, depthTexture.packed ? 1.0 : 0.0, depthTexture.width, depthTexture.height, regionUniforms.depthTextureParameters);
+                    Cesium.Cartesian2.fromElements(depthTexture.minimum, depthTexture.maximum, regionUniforms.depthTextureRange);
+                }
+                Cesium.Cartesian3.clone(region.baseTint, regionUniforms.baseTints[i]);
+                Cesium.Cartesian3.clone(region.sidesTint, regionUniforms.sidesTints[i]);
+            } else {
+                Cesium.Cartesian4.clone(Cesium.Cartesian4.ZERO, regionUniforms.shapes[i]);
+                Cesium.Cartesian4.clone(Cesium.Cartesian4.ZERO, regionUniforms.ellipses[i]);
+                Cesium.Cartesian4.clone(Cesium.Cartesian4.ZERO, regionUniforms.rectangles[i]);
+                regionUniforms.depths[i] = 0.0;
+                regionUniforms.blends[i] = 0.0;
+                regionUniforms.blendProfiles[i] = 0.0;
+                regionUniforms.modes[i] = 0.0;
+                Cesium.Cartesian2.clone(Cesium.Cartesian2.ZERO, regionUniforms.regionBenches[i]);
+                Cesium.Cartesian2.clone(Cesium.Cartesian2.ZERO, regionUniforms.regionStrata[i]);
+                regionUniforms.colorRampRows[i] = undefined;
+                Cesium.Cartesian4.fromElements(-1.0, 0.0, 0.0, 1.0, regionUniforms.colorRamps[i]);
+                Cesium.Cartesian2.clone(Cesium.Cartesian2.ZERO, regionUniforms.contours[i]);
+                Cesium.Cartesian4.clone(Cesium.Cartesian4.ZERO, regionUniforms.grids[i]);
+                Cesium.Cartesian3.clone(Cesium.Cartesian3.ZERO, regionUniforms.baseTints[i]);
+                Cesium.Cartesian3.clone(Cesium.Cartesian3.ZERO, regionUniforms.sidesTints[i]);
+            }
+        }
+    };
+
+    // Creates the texture of the region with a depth texture on the context of a tile provider, and replaces it
+    // whenever the region is given another one. Without a depth texture the default texture is bound instead.
+    var updateDepthTexture = function(tileProvider, context, regionUniforms, regions) {
+        // Without vertex texture fetch the vertex shader leaves the depth texture out, see getShaderProgram.
+        var depthTexture;
+        for (var i = 0; i < regions.length && i < GroundPush.MAXIMUM_REGIONS && context.maximumVertexTextureImageUnits > 0; i++) {
+            if (Cesium.defined(regions[i]._depthTexture) && regions[i]._depthTexture.ready) {
+                depthTexture = regions[i]._depthTexture;
+            }
+        }
+
+        if (tileProvider._groundPushDepthTextureSource !== depthTexture) {
+            if (Cesium.defined(tileProvider._groundPushDepthTexture)) {
+                tileProvider._groundPushDepthTexture.destroy();
+                tileProvider._groundPushDepthTexture = undefined;
+            }
+            if (Cesium.defined(depthTexture)) {
+                // The vertex shader interpolates between the texels itself, as values packed into two channels
+                // can't be filtered.
+                var texture = context.createTexture2D({
+                    source : depthTexture.source,
+                    pixelFormat : Cesium.PixelFormat.RGBA,
+                    pixelDatatype : Cesium.PixelDatatype.UNSIGNED_BYTE
+                });
+                texture.sampler = context.createSampler({
+                    wrapS : Cesium.TextureWrap.CLAMP_TO_EDGE,
+                    wrapT : Cesium.TextureWrap.CLAMP_TO_EDGE,
+                    minificationFilter : Cesium.TextureMinificationFilter.NEAREST,
+                    magnificationFilter : Cesium.TextureMagnificationFilter.NEAREST
+                });
+                tileProvider._groundPushDepthTexture = texture;
+            }
+            tileProvider._groundPushDepthTextureSource = depthTexture;
+        }
+
+        regionUniforms.depthTexture = Cesium.defaultValue(tileProvider._groundPushDepthTexture, context.defaultTexture);
+    };
+
+    // Draws the images of the strata one below the other into a canvas, each scaled to a square of this size.
+    var strataImageSize = 256;
+
+    // Creates the texture holding the images of the strata on the context of a tile provider, and replaces it
+    // whenever the images change. Without images the default texture is bound instead.
+    var updateStrataTexture = function(tileProvider, context, regionUniforms) {
+        var images = regionUniforms.strataImages;
+        var oldImages = Cesium.defaultValue(tileProvider._groundPushStrataImages, []);
+        var changed = images.length !== oldImages.length;
+        for (var i = 0; i < images.length && !changed; i++) {
+            changed = images[i] !== oldImages[i];
+        }
+
+        if (changed) {
+            if (Cesium.defined(tileProvider._groundPushStrataTexture)) {
+                tileProvider._groundPushStrataTexture.destroy();
+                tileProvider._groundPushStrataTexture = undefined;
+            }
+            if (images.length > 0) {
+                var canvas = document.createElement('canvas');
+                canvas.width = strataImageSize;
+                canvas.height = strataImageSize * images.length;
+                var canvasContext = canvas.getContext('2d');
+                for (i = 0; i < images.length; i++) {
+                    canvasContext.drawImage(images[i], 0, i * strataImageSize, strataImageSize, strataImageSize);
+                }
+                var texture = context.createTexture2D({
+                    source : canvas
+                });
+                texture.sampler = context.createSampler({
+                    wrapS : Cesium.TextureWrap.CLAMP_TO_EDGE,
+                    wrapT : Cesium.TextureWrap.CLAMP_TO_EDGE,
+                    minificationFilter : Cesium.TextureMinificationFilter.LINEAR,
+                    magnificationFilter : Cesium.TextureMagnificationFilter.LINEAR
+                });
+                tileProvider._groundPushStrataTexture = texture;
+            }
+            tileProvider._groundPushStrataImages = images.slice();
+        }
+
+        regionUniforms.strataTexture = Cesium.defaultValue(tileProvider._groundPushStrataTexture, context.defaultTexture);
+    };
+
+    // The width of the colour ramp texture, which has a row for every region.
+    var colorRampWidth = 256;
+
+    // Creates the texture of the colour ramps on the context of a tile provider, and draws it again whenever a
+    // ramp changes. Without any ramps the default texture is bound instead.
+    var updateColorRampTexture = function(tileProvider, context, regionUniforms) {
+        var rows = regionUniforms.colorRampRows;
+        var images = [];
+        var key = '';
+        for (var i = 0; i < rows.length; i++) {
+            var colorRamp = rows[i];
+            if (Cesium.defined(colorRamp)) {
+                key += i + ':';
+                if (Cesium.defined(colorRamp.image)) {
+                    key += 'image' + images.length;
+                    images.push(colorRamp.image);
+                }
+                for (var s = 0; s < colorRamp.stops.length; s++) {
+                    key += colorRamp.stops[s].depth + ' ' + colorRamp.stops[s].color.toString() + ',';
+                }
+                key += ';';
+            }
+        }
+
+        var oldImages = Cesium.defaultValue(tileProvider._groundPushColorRampImages, []);
+        var changed = key !== tileProvider._groundPushColorRampKey || images.length !== oldImages.length;
+        for (i = 0; i < images.length && !changed; i++) {
+            changed = images[i] !== oldImages[i];
+        }
+
+        if (changed) {
+            if (Cesium.defined(tileProvider._groundPushColorRampTexture)) {
+                tileProvider._groundPushColorRampTexture.destroy();
+                tileProvider._groundPushColorRampTexture = undefined;
+            }
+            if (key.length > 0) {
+                var canvas = document.createElement('canvas');
+                canvas.width = colorRampWidth;
+                canvas.height = GroundPush.MAXIMUM_REGIONS;
+                var canvasContext = canvas.getContext('2d');
+                for (i = 0; i < rows.length; i++) {
+                    colorRamp = rows[i];
+                    if (!Cesium.defined(colorRamp)) {
+                        continue;
+                    }
+                    if (Cesium.defined(colorRamp.image)) {
+                        canvasContext.drawImage(colorRamp.image, 0, i, colorRampWidth, 1);
+                        continue;
+                    }
+                    var range = colorRamp.maximumDepth - colorRamp.minimumDepth;
+                    var gradient = canvasContext.createLinearGradient(0, 0, colorRampWidth, 0);
+                    for (s = 0; s < colorRamp.stops.length; s++) {
+                        var stop = colorRamp.stops[s];
+                        gradient.addColorStop((stop.depth - colorRamp.minimumDepth) / range, stop.color.toCssColorString());
+                    }
+                    canvasContext.fillStyle = gradient;
+                    canvasContext.fillRect(0, i, colorRampWidth, 1);
+                }
+                var texture = context.createTexture2D({
+                    source : canvas
+                });
+                texture.sampler = context.createSampler({
+                    wrapS : Cesium.TextureWrap.CLAMP_TO_EDGE,
+                    wrapT : Cesium.TextureWrap.CLAMP_TO_EDGE,
+                    minificationFilter : Cesium.TextureMinificationFilter.LINEAR,
+                    magnificationFilter : Cesium.TextureMagnificationFilter.LINEAR
+                });
+                tileProvider._groundPushColorRampTexture = texture;
+            }
+            tileProvider._groundPushColorRampKey = key;
+            tileProvider._groundPushColorRampImages = images;
+        }
+
+        regionUniforms.colorRampTexture = Cesium.defaultValue(tileProvider._groundPushColorRampTexture, context.defaultTexture);
+    };
+
     // Uniform functions
     var u_realTileRectangle = function() {
         return this.realTileRectangle;
     };
-    var u_showOnlyInPushedRegion = function() {
-        return this.showOnlyInPushedRegion;
+    var u_pushDisplay = function() {
+        return this.pushDisplay;
+    };
+    var u_pushRegionCount = function() {
+        return this.regionUniforms.count;
+    };
+    var u_pushRegionShapes = function() {
+        return this.regionUniforms.shapes;
+    };
+    var u_pushPolygonVertices = function() {
+        return this.regionUniforms.polygonVertices;
+    };
+    var u_pushEllipses = function() {
+        return this.regionUniforms.ellipses;
+    };
+    var u_pushRectangles = function() {
+        return this.regionUniforms.rectangles;
+    };
+    var u_pushDepths = function() {
+        return this.regionUniforms.depths;
+    };
+    var u_pushBlends = function() {
+        return this.regionUniforms.blends;
+    };
+    var u_pushBlendProfiles = function() {
+        return this.regionUniforms.blendProfiles;
+    };
+    var u_pushModes = function() {
+        return this.regionUniforms.modes;
+    };
+    var u_pushRegionBenches = function() {
+        return this.regionUniforms.regionBenches;
+    };
+    var u_pushBenches = function() {
+        return this.regionUniforms.benches;
+    };
+    var u_pushRegionStrata = function() {
+        return this.regionUniforms.regionStrata;
+    };
+    var u_pushStrata = function() {
+        return this.regionUniforms.strata;
+    };
+    var u_pushStrataColors = function() {
+        return this.regionUniforms.strataColors;
+    };
+    var u_pushStrataTexture = function() {
+        return this.regionUniforms.strataTexture;
+    };
+    var u_pushStrataImageCount = function() {
+        return this.regionUniforms.strataImages.length;
+    };
+    var u_pushColorRamps = function() {
+        return this.regionUniforms.colorRamps;
+    };
+    var u_pushColorRampTexture = function() {
+        return this.regionUniforms.colorRampTexture;
+    };
+    var u_pushContours = function() {
+        return this.regionUniforms.contours;
+    };
+    var u_pushContourColors = function() {
+        return this.regionUniforms.contourColors;
     };
-    var u_pushDepth = function() {
-        return that.pushDepth;
+    var u_pushGrids = function() {
+        return this.regionUniforms.grids;
     };
-    var u_pushRectangle = function() {
-        var rectangle = that._innerRectangle;
-        return new Cesium.Cartesian4(rectangle.west, rectangle.south, rectangle.east, rectangle.north);
+    var u_pushGridOrigins = function() {
+        return this.regionUniforms.gridOrigins;
     };
-    var u_pushBlend = function() {
-        return that.pushBlend;
+    var u_pushGridColors = function() {
+        return this.regionUniforms.gridColors;
     };
-    var u_pushBaseTint = function() {
-        return that.pushBaseTint;
+    var u_pushDepthTexture = function() {
+        return this.regionUniforms.depthTexture;
     };
-    var u_pushSidesTint = function() {
-        return that.pushSidesTint;
+    var u_pushDepthTextureParameters = function() {
+        return this.regionUniforms.depthTextureParameters;
+    };
+    var u_pushDepthTextureRange = function() {
+        return this.regionUniforms.depthTextureRange;
+    };
+    var u_pushBaseTints = function() {
+        return this.regionUniforms.baseTints;
+    };
+    var u_pushSidesTints = function() {
+        return this.regionUniforms.sidesTints;
+    };
+
+    // The uniforms added to every pushed globe surface uniform map, removed again by destroy.
+    var customUniforms = registry.customUniforms = {
+        u_realTileRectangle : u_realTileRectangle,
+        u_pushDisplay : u_pushDisplay,
+        u_pushRegionCount : u_pushRegionCount,
+        u_pushRegionShapes : u_pushRegionShapes,
+        u_pushPolygonVertices : u_pushPolygonVertices,
+        u_pushEllipses : u_pushEllipses,
+        u_pushRectangles : u_pushRectangles,
+        u_pushDepths : u_pushDepths,
+        u_pushBlends : u_pushBlends,
+        u_pushBlendProfiles : u_pushBlendProfiles,
+        u_pushModes : u_pushModes,
+        u_pushRegionBenches : u_pushRegionBenches,
+        u_pushBenches : u_pushBenches,
+        u_pushRegionStrata : u_pushRegionStrata,
+        u_pushStrata : u_pushStrata,
+        u_pushStrataColors : u_pushStrataColors,
+        u_pushStrataTexture : u_pushStrataTexture,
+        u_pushStrataImageCount : u_pushStrataImageCount,
+        u_pushColorRamps : u_pushColorRamps,
+        u_pushColorRampTexture : u_pushColorRampTexture,
+        u_pushContours : u_pushContours,
+        u_pushContourColors : u_pushContourColors,
+        u_pushGrids : u_pushGrids,
+        u_pushGridOrigins : u_pushGridOrigins,
+        u_pushGridColors : u_pushGridColors,
+        u_pushDepthTexture : u_pushDepthTexture,
+        u_pushDepthTextureParameters : u_pushDepthTextureParameters,
+        u_pushDepthTextureRange : u_pushDepthTextureRange,
+        u_pushBaseTints : u_pushBaseTints,
+        u_pushSidesTints : u_pushSidesTints
+    };
+
+    // Keeps the bounding volumes and horizon occlusion points of the pushed tiles in line with the current depth of the regions, before
+    // the tiles are culled for this frame.
+    Cesium.GlobeSurfaceTileProvider.prototype._oldBeginUpdate = Cesium.GlobeSurfaceTileProvider.prototype.beginUpdate;
+    Cesium.GlobeSurfaceTileProvider.prototype.beginUpdate = function(context, frameState, commandList) {
+        this._oldBeginUpdate(context, frameState, commandList);
+        registry.elementIndexUint = context.elementIndexUint;
+
+        var regions = [];
+        for (var g = 0; g < registry.groundPushes.length; g++) {
+            if (registry.groundPushes[g]._pushesTileProvider(this)) {
+                regions = regions.concat(registry.groundPushes[g]._regions);
+            }
+        }
+        if (regions.length === 0 || !Cesium.defined(this._quadtree)) {
+            return;
+        }
+
+        var depths = '';
+        for (var i = 0; i < regions.length; i++) {
+            depths += regions[i]._mode + ':' + regions[i]._getDepths().join(',') + ';';
+        }
+
+        var ellipsoid = this.terrainProvider.tilingScheme.ellipsoid;
+        this._quadtree.forEachLoadedTile(function(tile) {
+            var data = tile.data;
+            var mesh = Cesium.defined(data.pickTerrain) ? data.pickTerrain.mesh : undefined;
+            if (!Cesium.defined(mesh) || !Cesium.defined(mesh._groundPushBounds)) {
+                return;
+            }
+            if (data._groundPushBounds !== mesh._groundPushBounds || data._groundPushDepths !== depths) {
+                updatePushedBounds(data, mesh._groundPushBounds, tile.rectangle, regions, ellipsoid);
+                data._groundPushBounds = mesh._groundPushBounds;
+                data._groundPushDepths = depths;
+            }
+        });
+    };
+
+    // Imagery layers check their pushDisplay when it is set, rather than while rendering every frame.
+    Object.defineProperty(Cesium.ImageryLayer.prototype, 'pushDisplay', {
+        get : function() {
+            return this._pushDisplay;
+        },
+        set : function(value) {
+            if (Cesium.defined(value) && !GroundPush.DISPLAY_VALUES.hasOwnProperty(value)) {
+                throw 'pushDisplay of an imagery layer must be \'' + GroundPush.DISPLAY_EVERYWHERE + '\', \'' + GroundPush.DISPLAY_PUSHED_ONLY +
+                    '\', \'' + GroundPush.DISPLAY_OUTSIDE_ONLY + '\', \'' + GroundPush.DISPLAY_WALLS_ONLY + '\' or \'' + GroundPush.DISPLAY_FLOOR_ONLY + '\'.';
+            }
+            this._pushDisplay = value;
+        },
+        configurable : true
+    });
+
+    // The older showOnlyInPushedRegion flag, deprecated in favour of pushDisplay. true draws the layer on the
+    // floor, as it always did, and false everywhere.
+    Object.defineProperty(Cesium.ImageryLayer.prototype, 'showOnlyInPushedRegion', {
+        get : function() {
+            Cesium.deprecationWarning('showOnlyInPushedRegion', 'showOnlyInPushedRegion of an imagery layer is deprecated, use pushDisplay instead.');
+            return this.pushDisplay === GroundPush.DISPLAY_FLOOR_ONLY;
+        },
+        set : function(value) {
+            Cesium.deprecationWarning('showOnlyInPushedRegion', 'showOnlyInPushedRegion of an imagery layer is deprecated, use pushDisplay instead.');
+            this.pushDisplay = value ? GroundPush.DISPLAY_FLOOR_ONLY : GroundPush.DISPLAY_EVERYWHERE;
+        },
+        configurable : true
+    });
+
+    // The display value of an imagery layer used by GroundPushGlobeFS. Layers given showOnlyInPushedRegion or
+    // an unknown pushDisplay before the properties were installed keep them as their own, the first are drawn
+    // on the floor and the others everywhere.
+    var getImageryDisplay = function(imageryLayer) {
+        if (!Cesium.defined(imageryLayer)) {
+            return GroundPush.DISPLAY_VALUES[GroundPush.DISPLAY_EVERYWHERE];
+        }
+
+        var display = imageryLayer.pushDisplay;
+        if (!Cesium.defined(display)) {
+            var showOnlyInPushedRegion = imageryLayer.hasOwnProperty('showOnlyInPushedRegion') && imageryLayer.showOnlyInPushedRegion;
+            display = showOnlyInPushedRegion ? GroundPush.DISPLAY_FLOOR_ONLY : GroundPush.DISPLAY_EVERYWHERE;
+        }
+        if (!GroundPush.DISPLAY_VALUES.hasOwnProperty(display)) {
+            display = GroundPush.DISPLAY_EVERYWHERE;
+        }
+        return GroundPush.DISPLAY_VALUES[display];
     };
 
     // Cesium.GlobeSurface tweaking - adding uniforms and extra commands.
     Cesium.GlobeSurfaceTileProvider.prototype._oldEndUpdate = Cesium.GlobeSurfaceTileProvider.prototype.endUpdate;
     Cesium.GlobeSurfaceTileProvider.prototype.endUpdate = function(context, frameState, commandList) {
+        // Find the GroundPush objects pushing this globe, and their regions.
+        var groundPushes = [];
+        var regions = [];
+        for (var g = 0; g < registry.groundPushes.length; g++) {
+            var groundPush = registry.groundPushes[g];
+            if (groundPush._pushesTileProvider(this)) {
+                groundPushes.push(groundPush);
+                regions = regions.concat(groundPush._regions);
+                if (groundPush._tileProviders.indexOf(this) < 0) {
+                    groundPush._tileProviders.push(this);
+                }
+            }
+        }
+
+        if (groundPushes.length === 0) {
+            this._oldEndUpdate(context, frameState, commandList);
+            return;
+        }
+
+        // The shader set of the globe still has the original prototype when it is first pushed. It has
+        // to be swapped before the original update picks this frame's shader programs from it.
+        var shaderSet = this._surfaceShaderSet;
+        if (Cesium.defined(shaderSet) && !(shaderSet instanceof GroundPushGlobeSurfaceShaderSet)) {
+            shaderSet.invalidateShaders();
+            Object.setPrototypeOf(shaderSet, GroundPushGlobeSurfaceShaderSet.prototype);
+            shaderSet.invalidateShaders();
+        }
+
+        // The shaders are recreated when custom blend profiles come into or go out of use.
+        updateBlendProfiles();
+        if (Cesium.defined(shaderSet) && Cesium.defined(shaderSet._groundPushBlendProfiles) &&
+                shaderSet._groundPushBlendProfiles !== registry.blendProfiles) {
+            shaderSet.invalidateShaders();
+            shaderSet._groundPushBlendProfiles = undefined;
+        }
+        var regionUniforms = this._groundPushRegionUniforms;
+        if (!Cesium.defined(regionUniforms)) {
+            regionUniforms = this._groundPushRegionUniforms = createRegionUniforms();
+        }
+        updateRegionUniforms(regionUniforms, regions);
+        updateDepthTexture(this, context, regionUniforms, regions);
+        updateStrataTexture(this, context, regionUniforms);
+        updateColorRampTexture(this, context, regionUniforms);
+
         // Call the original update
+        var firstCommand = commandList.length;
         this._oldEndUpdate(context, frameState, commandList);
 
+        // Draw the other sub-meshes of split tiles with copies of the commands of their first sub-mesh.
+        var subMeshCommands = this._groundPushSubMeshCommands;
+        if (!Cesium.defined(subMeshCommands)) {
+            subMeshCommands = this._groundPushSubMeshCommands = [];
+        }
+        var usedSubMeshCommands = 0;
+        var lastCommand = commandList.length;
+        for (var c = firstCommand; c < lastCommand; c++) {
+            var command = commandList[c];
+            var tile = command.owner;
+            if (!Cesium.defined(tile) || !Cesium.defined(tile.data) || !Cesium.defined(tile.data._groundPushVertexArrays)) {
+                continue;
+            }
+            var vertexArrays = tile.data._groundPushVertexArrays;
+            for (var v = 0; v < vertexArrays.length; v++) {
+                var subMeshCommand = subMeshCommands[usedSubMeshCommands];
+                if (!Cesium.defined(subMeshCommand)) {
+                    subMeshCommand = subMeshCommands[usedSubMeshCommands] = new Cesium.DrawCommand();
+                }
+                usedSubMeshCommands++;
+                subMeshCommand.boundingVolume = command.boundingVolume;
+                subMeshCommand.cull = command.cull;
+                subMeshCommand.modelMatrix = command.modelMatrix;
+                subMeshCommand.primitiveType = command.primitiveType;
+                subMeshCommand.vertexArray = vertexArrays[v];
+                subMeshCommand.shaderProgram = command.shaderProgram;
+                subMeshCommand.uniformMap = command.uniformMap;
+                subMeshCommand.renderState = command.renderState;
+                subMeshCommand.pass = command.pass;
+                subMeshCommand.owner = tile;
+                subMeshCommand.debugShowBoundingVolume = command.debugShowBoundingVolume;
+                commandList.push(subMeshCommand);
+            }
+        }
+        subMeshCommands.length = usedSubMeshCommands;
+
+        for (g = 0; g < groundPushes.length; g++) {
+            groundPushes[g]._updateRemeshing();
+        }
+
         // Now modify the tile commands to include the required uniforms.
         var drawCommands = this._drawCommands;
         var uniformMaps = this._uniformMaps;
 
-        // Adding realTileRectangle and showOnlyInPushedRegion uniforms to the map for each drawCommand.
+        // Adding realTileRectangle and pushDisplay uniforms to the map for each drawCommand.
         for (var i = 0; i < uniformMaps.length; i++) {
             if (!uniformMaps[i]._customUniformsSet) {
                 // Add custom uniforms to the uniform map for the globe surface if not already added.
-                uniformMaps[i].u_realTileRectangle = u_realTileRectangle;
-                uniformMaps[i].u_showOnlyInPushedRegion = u_showOnlyInPushedRegion;
-                uniformMaps[i].u_pushDepth = u_pushDepth;
-                uniformMaps[i].u_pushRectangle = u_pushRectangle;
-                uniformMaps[i].u_pushBlend = u_pushBlend;
-                uniformMaps[i].u_pushBaseTint = u_pushBaseTint;
-                uniformMaps[i].u_pushSidesTint = u_pushSidesTint;
+                for (var name in customUniforms) {
+                    if (customUniforms.hasOwnProperty(name)) {
+                        uniformMaps[i][name] = customUniforms[name];
+                    }
+                }
                 uniformMaps[i].realTileRectangle = new Cesium.Cartesian4();
-                uniformMaps[i].showOnlyInPushedRegion = [];
+                uniformMaps[i].pushDisplay = [];
+                uniformMaps[i].regionUniforms = regionUniforms;
                 uniformMaps[i]._customUniformsSet = true;
             }
 
@@ -165,12 +1300,7 @@ var GroundPush = function(Cesium, options) {
             var imageries = drawCommands[i].owner.data.imagery;
             for (var j = 0; j < imageries.length; j++) {
                 var imagery = (typeof imageries[j].readyImagery !== 'undefined') ? imageries[j].readyImagery : imageries[j].loadingImagery;
-                var imageryLayer = imagery.imageryLayer;
-                if (Cesium.defined(imageryLayer) && imageryLayer.showOnlyInPushedRegion) {
-                    uniformMaps[i].showOnlyInPushedRegion[j] = 1.0;
-                } else {
-                    uniformMaps[i].showOnlyInPushedRegion[j] = 0.0;
-                }
+                uniformMaps[i].pushDisplay[j] = getImageryDisplay(imagery.imageryLayer);
             }
         }
     };
@@ -180,581 +1310,742 @@ var GroundPush = function(Cesium, options) {
      * HELPER FUNCTIONS
      */
     
-    var quantizedStride = 3;
-    var vertexStride = 6;
-    var EPSILON6 = 0.000001;
+    var scratchPushedRectangle = new Cesium.Rectangle();
+    var scratchPushedSphere = new Cesium.BoundingSphere();
+    var scratchLowestPoints = [];
+    var scratchHighestPoints = [];
+
+    // Sets the heights, bounding volumes and horizon occlusion point of a terrain mesh or tile to the
+    // unpushed ones, expanded to contain the terrain moved by the current depth of every region
+    // overlapping the tile.
+    var updatePushedBounds = function(target, unpushed, tileRectangle, regions, ellipsoid) {
+        var minimumHeight = unpushed.minimumHeight;
+        var maximumHeight = unpushed.maximumHeight;
+        var boundingSphere = Cesium.BoundingSphere.clone(unpushed.boundingSphere3D, target.boundingSphere3D);
+        var pushed = false;
+
+        for (var i = 0; i < regions.length; i++) {
+            var pushedRectangle = Cesium.Rectangle.intersectWith(tileRectangle, regions[i]._outerRectangle, scratchPushedRectangle);
+            if (Cesium.Rectangle.isEmpty(pushedRectangle)) {
+                continue;
+            }
+            // The depths of the benches as well as the depth of the region. Flattened regions push the terrain to
+            // their depths as heights.
+            var flatten = regions[i]._mode === GroundPushRegion.MODE_FLATTEN;
+            var depths = regions[i]._getDepths();
+            for (var d = 0; d < depths.length; d++) {
+                var depth = depths[d];
+                if (depth === 0.0 && !flatten) {
+                    continue;
+                }
+                pushed = true;
+                var lowest = flatten ? depth : unpushed.minimumHeight + depth;
+                var highest = flatten ? depth : unpushed.maximumHeight + depth;
+                minimumHeight = Math.min(minimumHeight, lowest);
+                maximumHeight = Math.max(maximumHeight, highest);
+                Cesium.BoundingSphere.fromRectangle3D(pushedRectangle, ellipsoid, lowest, scratchPushedSphere);
+                Cesium.BoundingSphere.union(boundingSphere, scratchPushedSphere, boundingSphere);
+                Cesium.BoundingSphere.fromRectangle3D(pushedRectangle, ellipsoid, highest, scratchPushedSphere);
+                Cesium.BoundingSphere.union(boundingSphere, scratchPushedSphere, boundingSphere);
+            }
+        }
 
-    var xIndex = 0;
-    var yIndex = 1;
-    var zIndex = 2;
-    var hIndex = 3;
-    var uIndex = 4;
-    var vIndex = 5;
+        target.minimumHeight = minimumHeight;
+        target.maximumHeight = maximumHeight;
+        target.boundingSphere3D = boundingSphere;
 
-    var indicesScratch = [];
+        if (!pushed) {
+            target.occludeePointInScaledSpace = Cesium.Cartesian3.clone(unpushed.occludeePointInScaledSpace, target.occludeePointInScaledSpace);
+        } else if (minimumHeight < 0.0) {
+            // Terrain pushed below the ellipsoid is hidden by the ellipsoid itself as far as the horizon
+            // culling is concerned, even when looking down into the pit, so the tile opts out of it.
+            target.occludeePointInScaledSpace = undefined;
+        } else {
+            var points = Cesium.Rectangle.subsample(tileRectangle, ellipsoid, minimumHeight, scratchLowestPoints).concat(
+                Cesium.Rectangle.subsample(tileRectangle, ellipsoid, maximumHeight, scratchHighestPoints));
+            var occluder = new Cesium.EllipsoidalOccluder(ellipsoid);
+            target.occludeePointInScaledSpace = occluder.computeHorizonCullingPoint(boundingSphere.center, points, target.occludeePointInScaledSpace);
+        }
 
-    var cartesian3Scratch = new Cesium.Cartesian3();
-    var cartographicScratch = new Cesium.Cartographic();
+        // Terrain of later Cesium versions is also culled with an oriented bounding box.
+        if (Cesium.defined(target.orientedBoundingBox) && Cesium.defined(Cesium.OrientedBoundingBox)) {
+            target.orientedBoundingBox = Cesium.OrientedBoundingBox.fromRectangle(tileRectangle, minimumHeight, maximumHeight, ellipsoid, target.orientedBoundingBox);
+        }
+    };
+};
 
-    var longSlicePlaneNormal = new Cesium.Cartesian3(1, 0, 0); // u unit normal vect. => vertical slice.
-    var latSlicePlaneNormal = new Cesium.Cartesian3(0, 1, 0); // v unit normal vect. => horizontal slice.
 
-    /**
-     * Inserts vertices to a given tile along the boundaries of the inner rectangle and outer rectangle
-     * if either overlaps with the tileRectangle.
-     * 
-     * @param  {Object} parameters The input parameters are:
-     * parameters.innerRectangle  the inner rectangle of the push region.
-     * parameters.outerRectangle  the outer rectangle of the push region.
-     * parameters.vertices  the vertex buffer of the tile being modified.
-     * parameters.indices  the index buffer of the tile being modified.
-     * parameters.tileRectangle  the rectangle of the tile being modified.
-     * parameters.ellipsoid  the central body ellipsoid.
-     * parameters.center  the center of the tile.
-     * 
-     * @return {Object}  The new vertex and index buffers.
-     */
-    function insertPushVertices(parameters) {
-        var indices = indicesScratch;
-        indices.length = 0;
-
-        var newVerticesMap = {};
-
-        var westOuterSliceValue = (parameters.outerRectangle.west - parameters.tileRectangle.west) / (parameters.tileRectangle.east - parameters.tileRectangle.west);
-        var eastOuterSliceValue = (parameters.outerRectangle.east - parameters.tileRectangle.west) / (parameters.tileRectangle.east - parameters.tileRectangle.west);
-        var northOuterSliceValue = (parameters.outerRectangle.north - parameters.tileRectangle.south) / (parameters.tileRectangle.north - parameters.tileRectangle.south);
-        var southOuterSliceValue = (parameters.outerRectangle.south - parameters.tileRectangle.south) / (parameters.tileRectangle.north - parameters.tileRectangle.south);
-
-        var westInnerSliceValue = (parameters.innerRectangle.west - parameters.tileRectangle.west) / (parameters.tileRectangle.east - parameters.tileRectangle.west);
-        var eastInnerSliceValue = (parameters.innerRectangle.east - parameters.tileRectangle.west) / (parameters.tileRectangle.east - parameters.tileRectangle.west);
-        var northInnerSliceValue = (parameters.innerRectangle.north - parameters.tileRectangle.south) / (parameters.tileRectangle.north - parameters.tileRectangle.south);
-        var southInnerSliceValue = (parameters.innerRectangle.south - parameters.tileRectangle.south) / (parameters.tileRectangle.north - parameters.tileRectangle.south);
-
-        // The 8 slice planes that make up the rectangle, both inner and outer.
-        var westOuterSlicePlane = new Cesium.Plane(longSlicePlaneNormal, -westOuterSliceValue);
-        var eastOuterSlicePlane = new Cesium.Plane(longSlicePlaneNormal, -eastOuterSliceValue);
-        var northOuterSlicePlane = new Cesium.Plane(latSlicePlaneNormal, -northOuterSliceValue);
-        var southOuterSlicePlane = new Cesium.Plane(latSlicePlaneNormal, -southOuterSliceValue);
-
-        var westInnerSlicePlane = new Cesium.Plane(longSlicePlaneNormal, -westInnerSliceValue);
-        var eastInnerSlicePlane = new Cesium.Plane(longSlicePlaneNormal, -eastInnerSliceValue);
-        var northInnerSlicePlane = new Cesium.Plane(latSlicePlaneNormal, -northInnerSliceValue);
-        var southInnerSlicePlane = new Cesium.Plane(latSlicePlaneNormal, -southInnerSliceValue);
-
-        var slicePlanes = [ westInnerSlicePlane,
-                            eastInnerSlicePlane,
-                            northInnerSlicePlane,
-                            southInnerSlicePlane,
-                            westOuterSlicePlane,
-                            eastOuterSlicePlane,
-                            northOuterSlicePlane,
-                            southOuterSlicePlane ];
-
-        var originalVertices = parameters.vertices;
-        var originalIndices = parameters.indices;
-        var center = parameters.center;
-
-        var vertexCount = originalVertices.length / vertexStride;
-
-        // Stores Cartesian versions of the vertices, with an added index property.
-        var cartesianVertexBuffer = [];
-
-        for (var i = 0, bufferIndex = 0; i < vertexCount; i++, bufferIndex += vertexStride) {
-            // We're keeping all the original vertices...
-            cartesianVertexBuffer.push(new Cesium.Cartesian3(originalVertices[bufferIndex + uIndex], originalVertices[bufferIndex + vIndex], originalVertices[bufferIndex + hIndex]));
-            cartesianVertexBuffer[i].index = i;
-        }
-
-        // Copy the indices into an array.
-        for (i = 0; i < originalIndices.length; i++) {
-            indices.push(originalIndices[i]);
-        }
-
-        var tempIndices;
-
-        for (var s = 0; s < slicePlanes.length; s++) {
-            var numIndices = indices.length;
-            tempIndices = [];
-
-            // Iterate through all the triangles.
-            for (i = 0; i < numIndices; i += quantizedStride) {
-                var i0 = indices[i];
-                var i1 = indices[i + 1];
-                var i2 = indices[i + 2];
-
-                var p0 = cartesianVertexBuffer[i0];
-                var p1 = cartesianVertexBuffer[i1];
-                var p2 = cartesianVertexBuffer[i2];
-
-                // If the triangle intersects the plane this will return the following...
-                // { positions : [p0, p1, p2, u1[, u2]],
-                //   indices : [ ... ] }
-                // Where u1 and u2 are the new vertices to be added to the triangle and
-                // the indices identify the 3 triangles.
-                var newTriangles = trianglePlaneIntersection(p0, p1, p2, slicePlanes[s]);
-                // NOTE: If newTriangles is undefined then no new triangles are required.
-
-                var newVertex1, newVertex2;
-                if (Cesium.defined(newTriangles)) {
-                    // Then there are potentially new vertices to be added...
-                    if (newTriangles.positions.length === 5) { // TODO: Magic numbers...?
-                        // 2 potential new vertices...
-                        newVertex1 = newTriangles.positions[3];
-                        newVertex2 = newTriangles.positions[4];
-
-                        // Check which vertices are actually new. Both, one or neither...
-                        if (!Cesium.defined(newVerticesMap[getKeyFromVertex(newVertex1)])) {
-                            newVerticesMap[getKeyFromVertex(newVertex1)] = newVertex1;
-                            newVertex1.index = cartesianVertexBuffer.length;
-                            cartesianVertexBuffer.push(newVertex1);
-                        } else {
-                            newVertex1.index = newVerticesMap[getKeyFromVertex(newVertex1)].index;
-                        }
+/**
+ * The maximum number of regions, shared by all GroundPush objects on the Cesium instance. Must match MAX_PUSH_REGIONS
+ * in GroundPushGlobeVS and GroundPushGlobeFS.
+ */
+GroundPush.MAXIMUM_REGIONS = 8;
 
-                        if (!Cesium.defined(newVerticesMap[getKeyFromVertex(newVertex2)])) {
-                            newVerticesMap[getKeyFromVertex(newVertex2)] = newVertex2;
-                            newVertex2.index = cartesianVertexBuffer.length;
-                            cartesianVertexBuffer.push(newVertex2);
-                        } else {
-                            newVertex2.index = newVerticesMap[getKeyFromVertex(newVertex2)].index;
-                        }
+/**
+ * The maximum number of polygon positions, summed over the regions of all GroundPush objects on the Cesium instance.
+ * Must match MAX_PUSH_POLYGON_VERTICES in GroundPushGlobeVS.
+ */
+GroundPush.MAXIMUM_POLYGON_VERTICES = 64;
 
-                    } else if (newTriangles.positions.length === 4) { // TODO: Magic numbers...?
-                        // 1 potential new vertex...
-
-                        newVertex1 = newTriangles.positions[3];
-                        // Check which vertices are actually new. Both, one or neither...
-                        if (!Cesium.defined(newVerticesMap[getKeyFromVertex(newVertex1)])) {
-                            newVerticesMap[getKeyFromVertex(newVertex1)] = newVertex1;
-                            newVertex1.index = cartesianVertexBuffer.length;
-                            cartesianVertexBuffer.push(newVertex1);
-                        } else {
-                            newVertex1.index = newVerticesMap[getKeyFromVertex(newVertex1)].index;
-                        }
+/**
+ * The maximum number of benches, summed over the regions of all GroundPush objects on the Cesium instance.
+ * Must match MAX_PUSH_BENCHES in GroundPushGlobeVS.
+ */
+GroundPush.MAXIMUM_BENCHES = 16;
 
-                    }
+/**
+ * The maximum number of strata, summed over the regions of all GroundPush objects on the Cesium instance.
+ * Must match MAX_PUSH_STRATA in GroundPushGlobeFS.
+ */
+GroundPush.MAXIMUM_STRATA = 8;
 
-                    // Go through the new triangles adding them to the index buffer...
-                    for (var j = 0; j < newTriangles.indices.length; j += 3) {
-                        tempIndices.push(newTriangles.positions[newTriangles.indices[j]].index);
-                        tempIndices.push(newTriangles.positions[newTriangles.indices[j + 1]].index);
-                        tempIndices.push(newTriangles.positions[newTriangles.indices[j + 2]].index);
-                    }
+/**
+ * The maximum number of tiles being sliced by the worker at once. Further tiles are postponed.
+ */
+GroundPush.MAXIMUM_ACTIVE_SLICER_TASKS = 5;
 
-                } else {
-                    // No new triangles... push the original indices onto the index buffer.
-                    tempIndices.push(i0);
-                    tempIndices.push(i1);
-                    tempIndices.push(i2);
-                }
+/**
+ * Where an imagery layer is drawn, set as the pushDisplay property of the layer: everywhere, only on the pushed
+ * terrain, only outside of it, only on the sides and walls of the regions or only on their floors.
+ */
+GroundPush.DISPLAY_EVERYWHERE = 'everywhere';
+GroundPush.DISPLAY_PUSHED_ONLY = 'pushedOnly';
+GroundPush.DISPLAY_OUTSIDE_ONLY = 'outsideOnly';
+GroundPush.DISPLAY_WALLS_ONLY = 'wallsOnly';
+GroundPush.DISPLAY_FLOOR_ONLY = 'floorOnly';
+
+/**
+ * The imagery display values used by GroundPushGlobeFS.
+ */
+GroundPush.DISPLAY_VALUES = {
+    everywhere : 0,
+    pushedOnly : 1,
+    outsideOnly : 2,
+    wallsOnly : 3,
+    floorOnly : 4
+};
+
+/**
+ * The URL of GroundPushWorker.js. Defaults to the directory GroundPush.js was included from, set it
+ * before creating the first GroundPush object if the worker is kept elsewhere.
+ */
+GroundPush.workerUrl = (function() {
+    "use strict";
+    if (typeof document !== 'undefined') {
+        var scripts = document.getElementsByTagName('script');
+        for (var i = 0; i < scripts.length; i++) {
+            var match = /((?:.*\/)|^)GroundPush\.js(?:\W|$)/.exec(scripts[i].getAttribute('src'));
+            if (match !== null) {
+                return match[1] + 'GroundPushWorker.js';
             }
-            indices = tempIndices;
         }
+    }
+    return 'GroundPushWorker.js';
+})();
+
+/**
+ * The depth and tints of the default region, i.e. the region created from options.pushRectangle.
+ */
+Object.defineProperties(GroundPush.prototype, {
+    pushDepth : {
+        get : function() {
+            return this._getDefaultRegion().depth;
+        },
+        set : function(value) {
+            this._getDefaultRegion().depth = value;
+        }
+    },
+    pushBaseTint : {
+        get : function() {
+            return this._getDefaultRegion().baseTint;
+        },
+        set : function(value) {
+            this._getDefaultRegion().baseTint = value;
+        }
+    },
+    pushSidesTint : {
+        get : function() {
+            return this._getDefaultRegion().sidesTint;
+        },
+        set : function(value) {
+            this._getDefaultRegion().sidesTint = value;
+        }
+    },
+    pushColorRamp : {
+        get : function() {
+            return this._getDefaultRegion().colorRamp;
+        },
+        set : function(value) {
+            this._getDefaultRegion().colorRamp = value;
+        }
+    },
+    pushBlend : {
+        get : function() {
+            return this._getDefaultRegion().pushBlend;
+        }
+    }
+});
 
+GroundPush.prototype._getDefaultRegion = function() {
+    if (!this.Cesium.defined(this._defaultRegion)) {
+        throw 'This GroundPush has no default region, no push shape was defined at initialisation.';
+    }
+    return this._defaultRegion;
+};
 
-        var vertexBuffer = new Float32Array(cartesianVertexBuffer.length * vertexStride);
-        var ellipsoid = parameters.ellipsoid;
-        var tileRectangle = parameters.tileRectangle;
-        var west = tileRectangle.west;
-        var south = tileRectangle.south;
-        var east = tileRectangle.east;
-        var north = tileRectangle.north;
+/**
+ * Adds a new push region. Regions should be added before the terrain tiles they cover are loaded.
+ * @param {Object} options  The options include:
+ *
+ * options.rectangle  The rectangle of the region to be pushed.
+ * options.polygon  An array of Cesium.Cartographic or Cesium.Cartesian3 positions outlining the region
+ *                  to be pushed. Used instead of options.rectangle.
+ * options.circle  An Object { center, radius } describing a circular region to be pushed, with the radius
+ *                 in metres. Used instead of options.rectangle.
+ * options.ellipse  An Object { center, semiMajor, semiMinor, rotation } describing an elliptical region to be
+ *                  pushed, with the axes in metres and the rotation in radians. Used instead of options.rectangle.
+ * options.depth  The initial depth of the region.
+ * options.mode  'relative', 'flatten' or 'raise', see GroundPushRegion. Defaults to 'relative'.
+ * options.baseTint  A Cesium.Cartesian3 Object representing the colour tint of the base of the region.
+ * options.sidesTint  A Cesium.Cartesian3 Object representing the colour tint of the sides of the region.
+ * options.colorRamp  An Object { stops, image, minimumDepth, maximumDepth, depthMode } colouring the region by
+ *                    its depth, see GroundPushRegion.
+ * options.wallMode  'ramp' for sides that blend out over a thin ramp, or 'vertical' for vertical walls.
+ *                   Vertical walls are only built for rectangle regions. Defaults to 'ramp'.
+ * options.blendWidth  The width of the ramp sides, in options.blendUnits. Defaults to a thousandth of the
+ *                     smaller side of the region's rectangle.
+ * options.blendUnits  'metres' or 'radians'. Defaults to 'metres'.
+ * options.blendProfile  'smoothstep', 'linear', 'cosine', 'step' or a GLSL expression of x, see GroundPushRegion.
+ *                       Defaults to 'smoothstep'.
+ * options.benches  An array of { depth, inset } Objects cutting a rectangle region into benches, from the top
+ *                  down, with the depth and the inset from the previous bench in metres.
+ * options.depthTexture  An Image or Canvas, or an Object { values, width, height } with a Float32Array,
+ *                       covering the region's rectangle and shaping its floor, see GroundPushRegion.
+ * options.strata  An array of { topDepth, bottomDepth, color, image, imageSize } Objects colouring the sides by
+ *                 their depth below the original surface, see GroundPushRegion.
+ * options.contours  An Object { spacing, color, width } drawing contours on the pushed terrain every spacing
+ *                   metres of height, see GroundPushRegion.
+ * options.grid  An Object { spacing, color, lineWidth, origin } drawing a grid every spacing metres on the floor of
+ *               the region, see GroundPushRegion.
+ *
+ * @return {GroundPushRegion}  The handle of the new region.
+ */
+GroundPush.prototype.addRegion = function(options) {
+    if (this._getAllRegions().length >= GroundPush.MAXIMUM_REGIONS) {
+        throw 'All GroundPush objects together can have at most ' + GroundPush.MAXIMUM_REGIONS + ' regions.';
+    }
+    var region = new GroundPushRegion(this, options);
+    this._regions.push(region);
+    this._remeshTiles([region._outerRectangle]);
+    return region;
+};
 
-        // Make the full vertex buffer with new vertices included.
-        for (i = 0, bufferIndex = 0; bufferIndex < vertexBuffer.length; ++i, bufferIndex += vertexStride) {
-            cartographicScratch.longitude = lerp(west, east, cartesianVertexBuffer[i].x);
-            cartographicScratch.latitude = lerp(south, north, cartesianVertexBuffer[i].y);
-            cartographicScratch.height = cartesianVertexBuffer[i].z;
+/**
+ * Removes a push region.
+ * @param {GroundPushRegion} region  The region returned by addRegion.
+ * @return {Boolean}  true if the region was removed, false if it did not belong to this GroundPush.
+ */
+GroundPush.prototype.removeRegion = function(region) {
+    var index = this._regions.indexOf(region);
+    if (index < 0) {
+        return false;
+    }
+    this._regions.splice(index, 1);
+    region.stopDepthAnimation();
+    if (this._defaultRegion === region) {
+        this._defaultRegion = undefined;
+    }
+    this._remeshTiles([region._outerRectangle]);
+    return true;
+};
 
-            ellipsoid.cartographicToCartesian(cartographicScratch, cartesian3Scratch);
+/**
+ * Returns true if this object was destroyed; otherwise, false.
+ * @return {Boolean}  true if this object was destroyed.
+ */
+GroundPush.prototype.isDestroyed = function() {
+    return false;
+};
+
+// Returns the regions of every GroundPush object sharing the installation, which share the uniform arrays.
+GroundPush.prototype._getAllRegions = function() {
+    var groundPushes = this._registry.groundPushes;
+    var regions = [];
+    for (var i = 0; i < groundPushes.length; i++) {
+        regions = regions.concat(groundPushes[i]._regions);
+    }
+    if (groundPushes.indexOf(this) < 0) {
+        regions = regions.concat(this._regions);
+    }
+    return regions;
+};
+
+// Whether this GroundPush pushes the globe of the given tile provider.
+GroundPush.prototype._pushesTileProvider = function(tileProvider) {
+    return !this.Cesium.defined(this._globe) || this._globe._surface.tileProvider === tileProvider;
+};
 
-            vertexBuffer[bufferIndex + xIndex] = cartesian3Scratch.x - center.x;
-            vertexBuffer[bufferIndex + yIndex] = cartesian3Scratch.y - center.y;
-            vertexBuffer[bufferIndex + zIndex] = cartesian3Scratch.z - center.z;
-            vertexBuffer[bufferIndex + hIndex] = cartesianVertexBuffer[i].z;
-            vertexBuffer[bufferIndex + uIndex] = cartesianVertexBuffer[i].x;
-            vertexBuffer[bufferIndex + vIndex] = cartesianVertexBuffer[i].y;
+// Raises remeshCompleted once none of the tiles being re-meshed are waiting for their new mesh.
+GroundPush.prototype._updateRemeshing = function() {
+    if (!this._remeshRequested) {
+        return;
+    }
+
+    var Cesium = this.Cesium;
+
+    // Tiles whose mesh was being created are re-meshed once it has been published, or dropped if they have
+    // been unloaded meanwhile.
+    var deferredTiles = this._deferredRemeshTiles;
+    this._deferredRemeshTiles = [];
+    var waiting = false;
+    for (var d = 0; d < deferredTiles.length; d++) {
+        var tile = deferredTiles[d].tile;
+        if (Cesium.defined(tile.data) && Cesium.defined(tile.data.terrainData)) {
+            this._remeshTile(tile, deferredTiles[d].rendered);
         }
+    }
+    for (d = 0; d < this._deferredRemeshTiles.length; d++) {
+        waiting = waiting || this._deferredRemeshTiles[d].rendered;
+    }
 
-        var indicesTypedArray = new Uint16Array(indices);
+    var remeshingTerrain = this._remeshingTerrain;
+    for (var i = remeshingTerrain.length - 1; i >= 0; i--) {
+        var state = remeshingTerrain[i].state;
+        if (state !== Cesium.TerrainState.RECEIVED && state !== Cesium.TerrainState.TRANSFORMING && state !== Cesium.TerrainState.TRANSFORMED) {
+            remeshingTerrain.splice(i, 1);
+        }
+    }
 
-        return {
-            vertices : vertexBuffer.buffer,
-            indices : indicesTypedArray.buffer
-        };
+    if (remeshingTerrain.length === 0 && !waiting) {
+        this._remeshRequested = false;
+        this.remeshCompleted.raiseEvent(this);
     }
+};
 
-    /**
-     * Returns a String key for a given vertex based on it's 3D position.
-     * @param  {Cartesian3} vertex
-     * @return {String}
-     */
-    function getKeyFromVertex(vertex) {
-        return vertex.x.toString() + vertex.y.toString() + vertex.z.toString();
+/**
+ * Turns this GroundPush off and re-meshes its pushed terrain tiles without its regions. Once the last
+ * GroundPush object is destroyed every part of Cesium the plugin patched is restored. The GroundPush
+ * object can no longer be used afterwards.
+ */
+GroundPush.prototype.destroy = function() {
+    var Cesium = this.Cesium;
+    var registry = this._registry;
+    var groundPushes = registry.groundPushes;
+    groundPushes.splice(groundPushes.indexOf(this), 1);
+
+    for (var r = 0; r < this._regions.length; r++) {
+        this._regions[r].stopDepthAnimation();
     }
 
-    /**
-     * Calculates the intersection of a line segment and a plane.
-     * 
-     * Taken from the Cesium.MeshTerrainData.
-     */
-    function lineSegmentPlane(endPoint0, endPoint1, plane, result) {
-        if (!Cesium.defined(endPoint0)) {
-            throw 'endPoint0 is required.';
+    if (groundPushes.length === 0) {
+        Cesium.HeightmapTerrainData.prototype.createMesh = Cesium.HeightmapTerrainData.prototype._oldCreateMesh;
+        delete Cesium.HeightmapTerrainData.prototype._oldCreateMesh;
+        Cesium.QuantizedMeshTerrainData.prototype.createMesh = Cesium.QuantizedMeshTerrainData.prototype._oldCreateMesh;
+        delete Cesium.QuantizedMeshTerrainData.prototype._oldCreateMesh;
+
+        var tileTerrainPrototype = Cesium.TileTerrain.prototype;
+        tileTerrainPrototype.processLoadStateMachine = tileTerrainPrototype._oldProcessLoadStateMachine;
+        delete tileTerrainPrototype._oldProcessLoadStateMachine;
+        tileTerrainPrototype.processUpsampleStateMachine = tileTerrainPrototype._oldProcessUpsampleStateMachine;
+        delete tileTerrainPrototype._oldProcessUpsampleStateMachine;
+        tileTerrainPrototype.publishToTile = tileTerrainPrototype._oldPublishToTile;
+        delete tileTerrainPrototype._oldPublishToTile;
+        tileTerrainPrototype.freeResources = tileTerrainPrototype._oldFreeResources;
+        delete tileTerrainPrototype._oldFreeResources;
+        Cesium.GlobeSurfaceTile.prototype.freeVertexArray = Cesium.GlobeSurfaceTile.prototype._oldFreeVertexArray;
+        delete Cesium.GlobeSurfaceTile.prototype._oldFreeVertexArray;
+
+        Cesium.GlobeSurfaceTileProvider.prototype.loadTile = Cesium.GlobeSurfaceTileProvider.prototype._oldLoadTile;
+        delete Cesium.GlobeSurfaceTileProvider.prototype._oldLoadTile;
+        Cesium.GlobeSurfaceTileProvider.prototype.beginUpdate = Cesium.GlobeSurfaceTileProvider.prototype._oldBeginUpdate;
+        delete Cesium.GlobeSurfaceTileProvider.prototype._oldBeginUpdate;
+        Cesium.GlobeSurfaceTileProvider.prototype.endUpdate = Cesium.GlobeSurfaceTileProvider.prototype._oldEndUpdate;
+        delete Cesium.GlobeSurfaceTileProvider.prototype._oldEndUpdate;
+
+        delete Cesium.ImageryLayer.prototype.pushDisplay;
+        delete Cesium.ImageryLayer.prototype.showOnlyInPushedRegion;
+
+        var shaderSetPrototype = GroundPushGlobeSurfaceShaderSet.prototype;
+        shaderSetPrototype.getShaderProgram = shaderSetPrototype._oldGetShaderProgram;
+        delete shaderSetPrototype._oldGetShaderProgram;
+
+        if (Cesium.defined(registry.worker)) {
+            registry.terminateWorker();
         }
-        if (!Cesium.defined(endPoint1)) {
-            throw 'endPoint1 is required.';
+        delete Cesium._groundPushRegistry;
+    }
+
+    var customUniforms = registry.customUniforms;
+    for (var i = 0; i < this._tileProviders.length; i++) {
+        var tileProvider = this._tileProviders[i];
+
+        // Globes still pushed by another GroundPush keep the custom shaders and uniforms.
+        var stillPushed = false;
+        for (var g = 0; g < groundPushes.length; g++) {
+            if (groundPushes[g]._pushesTileProvider(tileProvider)) {
+                stillPushed = true;
+            }
         }
-        if (!Cesium.defined(plane)) {
-            throw 'plane is required.';
+        if (stillPushed) {
+            continue;
         }
 
-        var difference = new Cesium.Cartesian3();
-        Cesium.Cartesian3.subtract(endPoint1, endPoint0, difference);
-
-        var normal = plane.normal;
-        var nDotDiff = Cesium.Cartesian3.dot(normal, difference);
+        // Put the original shaders back on the shader set the globe already uses.
+        var shaderSet = tileProvider._surfaceShaderSet;
+        if (Cesium.defined(shaderSet) && shaderSet instanceof GroundPushGlobeSurfaceShaderSet) {
+            shaderSet.invalidateShaders();
+            if (Cesium.defined(shaderSet._oldBaseVertexShaderString)) {
+                shaderSet.baseVertexShaderString = shaderSet._oldBaseVertexShaderString;
+                shaderSet.baseFragmentShaderString = shaderSet._oldBaseFragmentShaderString;
+            }
+            delete shaderSet._oldBaseVertexShaderString;
+            delete shaderSet._oldBaseFragmentShaderString;
+            delete shaderSet._groundPushVertexShaderString;
+            delete shaderSet._groundPushFragmentShaderString;
+            delete shaderSet._groundPushBlendProfiles;
+            delete shaderSet.getShaderKey;
+            Object.setPrototypeOf(shaderSet, Cesium.GlobeSurfaceShaderSet.prototype);
+        }
 
-        // check if the segment and plane are parallel
-        if (Math.abs(nDotDiff) < EPSILON6) {
-            return undefined;
+        var uniformMaps = tileProvider._uniformMaps;
+        for (var j = 0; j < uniformMaps.length; j++) {
+            for (var name in customUniforms) {
+                if (customUniforms.hasOwnProperty(name)) {
+                    delete uniformMaps[j][name];
+                }
+            }
+            delete uniformMaps[j].realTileRectangle;
+            delete uniformMaps[j].pushDisplay;
+            delete uniformMaps[j].regionUniforms;
+            delete uniformMaps[j]._customUniformsSet;
         }
+        delete tileProvider._groundPushRegionUniforms;
 
-        var nDotP0 = Cesium.Cartesian3.dot(normal, endPoint0);
-        var t = -(plane.distance + nDotP0) / nDotDiff;
+        if (Cesium.defined(tileProvider._groundPushDepthTexture)) {
+            tileProvider._groundPushDepthTexture.destroy();
+        }
+        delete tileProvider._groundPushDepthTexture;
+        delete tileProvider._groundPushDepthTextureSource;
 
-        // intersection only if t is in [0, 1]
-        if (t < 0.0 || t > 1.0) {
-            return undefined;
+        if (Cesium.defined(tileProvider._groundPushStrataTexture)) {
+            tileProvider._groundPushStrataTexture.destroy();
         }
+        delete tileProvider._groundPushStrataTexture;
+        delete tileProvider._groundPushStrataImages;
 
-        // intersection is endPoint0 + t * (endPoint1 - endPoint0)
-        if (!Cesium.defined(result)) {
-            result = new Cesium.Cartesian3();
+        if (Cesium.defined(tileProvider._groundPushColorRampTexture)) {
+            tileProvider._groundPushColorRampTexture.destroy();
         }
-        Cesium.Cartesian3.multiplyByScalar(difference, t, result);
-        Cesium.Cartesian3.add(endPoint0, result, result);
-        return result;
+        delete tileProvider._groundPushColorRampTexture;
+        delete tileProvider._groundPushColorRampKey;
+        delete tileProvider._groundPushColorRampImages;
     }
 
-    /**
-     * Calculates the intersection of a triangle (given by 3 vertices) and a plane.
-     * 
-     * Inspired by functions in Cesium.MeshTerrainData.
-     */
-    function trianglePlaneIntersection(p0, p1, p2, plane) {
-        if ((!Cesium.defined(p0)) ||
-            (!Cesium.defined(p1)) ||
-            (!Cesium.defined(p2)) ||
-            (!Cesium.defined(plane))) {
-            throw 'p0, p1, p2, and plane are required.';
-        }
-
-        var planeNormal = plane.normal;
-        var planeD = plane.distance;
-        var normDotP0 = Cesium.Cartesian3.dot(planeNormal, p0);
-        var normDotP1 = Cesium.Cartesian3.dot(planeNormal, p1);
-        var normDotP2 = Cesium.Cartesian3.dot(planeNormal, p2);
-        var p0Behind = (normDotP0 + planeD) < 0.0;
-        var p1Behind = (normDotP1 + planeD) < 0.0;
-        var p2Behind = (normDotP2 + planeD) < 0.0;
-        var p0Infront = (normDotP0 + planeD) > 0.0;
-        var p1Infront = (normDotP1 + planeD) > 0.0;
-        var p2Infront = (normDotP2 + planeD) > 0.0;
-        // Given these dots products, the calls to lineSegmentPlaneIntersection
-        // always have defined results.
-
-        var numBehind = 0;
-        numBehind += p0Behind ? 1 : 0;
-        numBehind += p1Behind ? 1 : 0;
-        numBehind += p2Behind ? 1 : 0;
-
-        var numInfront = 0;
-        numInfront += p0Infront ? 1 : 0;
-        numInfront += p1Infront ? 1 : 0;
-        numInfront += p2Infront ? 1 : 0;
-
-        var u1, u2;
-
-        if (numInfront + numBehind !== 3) {
-            // Then at least one point must lie on the plane...
-            if (numInfront === numBehind && numInfront > 0) {
-                u1 = new Cesium.Cartesian3();
-                // then there must be one on the plane and one either side.
-                // So we only need to split the triangle into 2 triangles...
-                if (p0Behind) {
-                    if (p1Infront) {
-                        lineSegmentPlane(p0, p1, plane, u1);
-
-                        return {
-                            positions : [p0, p1, p2, u1 ],
-                            indices : [
-                                // Behind
-                                0, 3, 2,
-
-                                // In front
-                                1, 2, 3
-                            ]
-                        };
-                    } else if (p2Infront) {
-                        lineSegmentPlane(p0, p1, plane, u1);
-
-                        return {
-                            positions : [p0, p1, p2, u1 ],
-                            indices : [
-                                // Behind
-                                0, 1, 3,
-
-                                // In front
-                                1, 2, 3
-                            ]
-                        };
-                    }
-                } else if (p1Behind) {
-                    if (p0Infront) {
-                        lineSegmentPlane(p0, p1, plane, u1);
-
-                        return {
-                            positions : [p0, p1, p2, u1 ],
-                            indices : [
-                                // Behind
-                                1, 2, 3,
-
-                                // In front
-                                0, 3, 2
-                            ]
-                        };
-                    } else if (p2Infront) {
-                        lineSegmentPlane(p0, p1, plane, u1);
-
-                        return {
-                            positions : [p0, p1, p2, u1 ],
-                            indices : [
-                                // Behind
-                                1, 3, 0,
-
-                                // In front
-                                0, 3, 2
-                            ]
-                        };
-                    }
-                } else if (p2Behind) {
-                    if (p0Infront) {
-                        lineSegmentPlane(p0, p1, plane, u1);
-
-                        return {
-                            positions : [p0, p1, p2, u1 ],
-                            indices : [
-                                // Behind
-                                1, 2, 3,
-
-                                // In front
-                                0, 1, 3
-                            ]
-                        };
-                    } else if (p1Infront) {
-                        lineSegmentPlane(p0, p1, plane, u1);
-
-                        return {
-                            positions : [p0, p1, p2, u1 ],
-                            indices : [
-                                // Behind
-                                0, 3, 2,
-
-                                // In front
-                                0, 1, 3
-                            ]
-                        };
-                    }
-                }
+    // Tiles sliced for the regions get their original meshes back.
+    var outerRectangles = [];
+    for (i = 0; i < this._regions.length; i++) {
+        outerRectangles.push(this._regions[i]._outerRectangle);
+    }
+    this._remeshTiles(outerRectangles);
 
-            } else {
-                // then the points could be in one of the following positions...
-                //
-                // 1. all points lie on the plane.
-                // 2. 2 points lie on the plane and the other is on one side.
-                // 3. 1 point lies on the plane and the others are both on one side.
-                //
-                // All of which do not require the original triangle to be split so
-                // therefore no new vertices added...
+    return Cesium.destroyObject(this);
+};
 
-                return undefined;
+/**
+ * Re-meshes the loaded terrain tiles that intersect any of the given rectangles, by publishing their
+ * terrain data to the tile again. Tiles still waiting for their terrain data are left alone, as they
+ * will be meshed with the current regions anyway. Tiles whose mesh is being created are re-meshed once
+ * it has been published, see _remeshTile.
+ * @param {Rectangle[]} rectangles  The rectangles of the changed regions, undefined entries are ignored.
+ */
+GroundPush.prototype._remeshTiles = function(rectangles) {
+    var Cesium = this.Cesium;
+    var that = this;
+    var intersectionScratch = new Cesium.Rectangle();
+
+    // Tiles touching a rectangle count too, their edge vertices may be the top of a vertical wall.
+    var intersectsRectangles = function(tile) {
+        for (var i = 0; i < rectangles.length; i++) {
+            if (!Cesium.defined(rectangles[i])) {
+                continue;
             }
-        } else {
-            u1 = new Cesium.Cartesian3();
-            u2 = new Cesium.Cartesian3();
-            // No points lie on the plane...
-            if (numBehind === 1) {
-                if (p0Behind) {
-                    lineSegmentPlane(p0, p1, plane, u1);
-                    lineSegmentPlane(p0, p2, plane, u2);
-
-                    return {
-                        positions : [p0, p1, p2, u1, u2 ],
-                        indices : [
-                            // Behind
-                            0, 3, 4,
-
-                            // In front
-                            1, 2, 4,
-                            1, 4, 3
-                        ]
-                    };
-                } else if (p1Behind) {
-                    lineSegmentPlane(p1, p2, plane, u1);
-                    lineSegmentPlane(p1, p0, plane, u2);
-
-                    return {
-                        positions : [p0, p1, p2, u1, u2 ],
-                        indices : [
-                            // Behind
-                            1, 3, 4,
-
-                            // In front
-                            2, 0, 4,
-                            2, 4, 3
-                        ]
-                    };
-                } else if (p2Behind) {
-                    lineSegmentPlane(p2, p0, plane, u1);
-                    lineSegmentPlane(p2, p1, plane, u2);
-
-                    return {
-                        positions : [p0, p1, p2, u1, u2 ],
-                        indices : [
-                            // Behind
-                            2, 3, 4,
-
-                            // In front
-                            0, 1, 4,
-                            0, 4, 3
-                        ]
-                    };
-                }
-            } else if (numBehind === 2) {
-                if (!p0Behind) {
-                    lineSegmentPlane(p1, p0, plane, u1);
-                    lineSegmentPlane(p2, p0, plane, u2);
-
-                    return {
-                        positions : [p0, p1, p2, u1, u2 ],
-                        indices : [
-                            // Behind
-                            1, 2, 4,
-                            1, 4, 3,
-
-                            // In front
-                            0, 3, 4
-                        ]
-                    };
-                } else if (!p1Behind) {
-                    lineSegmentPlane(p2, p1, plane, u1);
-                    lineSegmentPlane(p0, p1, plane, u2);
-
-                    return {
-                        positions : [p0, p1, p2, u1, u2 ],
-                        indices : [
-                            // Behind
-                            2, 0, 4,
-                            2, 4, 3,
-
-                            // In front
-                            1, 3, 4
-                        ]
-                    };
-                } else if (!p2Behind) {
-                    lineSegmentPlane(p0, p2, plane, u1);
-                    lineSegmentPlane(p1, p2, plane, u2);
-
-                    return {
-                        positions : [p0, p1, p2, u1, u2 ],
-                        indices : [
-                            // Behind
-                            0, 1, 4,
-                            0, 4, 3,
-
-                            // In front
-                            2, 3, 4
-                        ]
-                    };
-                }
-            } else {
-                // All vertices are one side of the slice plane.
-                // No new vertices required...
-                return undefined;
+            var intersection = Cesium.Rectangle.intersectWith(tile.rectangle, rectangles[i], intersectionScratch);
+            if (intersection.west <= intersection.east && intersection.south <= intersection.north) {
+                return true;
             }
         }
+        return false;
+    };
+
+    for (var i = 0; i < this._tileProviders.length; i++) {
+        var quadtree = this._tileProviders[i]._quadtree;
+        if (!Cesium.defined(quadtree)) {
+            continue;
+        }
+
+        // Only the tiles currently in view hold up remeshCompleted, the others are re-meshed
+        // whenever they are next visited.
+        var renderedTiles = quadtree._tilesToRender;
+        quadtree.forEachLoadedTile(function(tile) {
+            if (Cesium.defined(tile.data) && Cesium.defined(tile.data.terrainData) && intersectsRectangles(tile)) {
+                that._remeshTile(tile, renderedTiles.indexOf(tile) >= 0);
+            }
+        });
     }
-    
-    /**
-     * Linear interpolation helper function.
-     */
-    function lerp(p, q, time) {
-        return ((1.0 - time) * p) + (time * q);
-    }
+
+    this._remeshRequested = true;
 };
 
+/**
+ * Re-meshes a loaded terrain tile, once its terrain is ready. A tile whose terrain is ready and published
+ * gets a new TileTerrain holding its terrain data as received, and is loaded again, like Cesium loads the
+ * children of a tile again when their parent's terrain arrives. A tile whose mesh is being created is left
+ * to finish, and re-meshed by _updateRemeshing once it has been published.
+ * @param {QuadtreeTile} tile  The tile.
+ * @param {Boolean} rendered  true if the tile is in view and holds up remeshCompleted.
+ */
+GroundPush.prototype._remeshTile = function(tile, rendered) {
+    var Cesium = this.Cesium;
+    var data = tile.data;
+    var terrainData = data.terrainData;
+    var upsampled = terrainData.wasCreatedByUpsampling();
+    var currentTerrain = upsampled ? data.upsampledTerrain : data.loadedTerrain;
+
+    if (Cesium.defined(currentTerrain)) {
+        var state = currentTerrain.state;
+        if (state === Cesium.TerrainState.TRANSFORMING || state === Cesium.TerrainState.TRANSFORMED || state === Cesium.TerrainState.READY) {
+            this._deferredRemeshTiles.push({ tile : tile, rendered : rendered });
+        }
+        // Terrain yet to be meshed is meshed with the current regions.
+        return;
+    }
+
+    var terrain = new Cesium.TileTerrain();
+    terrain.data = terrainData;
+    terrain.state = Cesium.TerrainState.RECEIVED;
+    if (upsampled) {
+        data.upsampledTerrain = terrain;
+    } else {
+        data.loadedTerrain = terrain;
+    }
+    tile.state = Cesium.QuadtreeTileLoadState.LOADING;
+    if (rendered) {
+        this._remeshingTerrain.push(terrain);
+    }
+};
 
 /**
- * TODO: GroundPush setting functions... still in development.
+ * Returns all the push regions.
+ * @return {GroundPushRegion[]}  A copy of the list of regions.
  */
+GroundPush.prototype.getRegions = function() {
+    return this._regions.slice(0);
+};
 
 /**
- * Returns the actual inner rectangle of the push region.
+ * Returns the actual inner rectangle of the default push region.
  * @return {Rectangle}  The inner rectangle.
  */
 GroundPush.prototype.getInnerRectangle = function() {
-    return this._innerRectangle;
+    return this._getDefaultRegion().getInnerRectangle();
 };
 
 /**
- * Sets the inner rectangle of the push region. Recalculates the outer rectangle automatically.
+ * Sets the inner rectangle of the default push region. Recalculates the outer rectangle automatically.
  * @param {Rectangle} newRectangle  The new inner rectangle of the push region.
  */
 GroundPush.prototype.setInnerRectangle = function(newRectangle) {
-    if (this.Cesium.defined(newRectangle)) {
-        this._innerRectangle = newRectangle;
-        this.setOuterRectangle();
-    } else {
-        var outerRectangle = this._outerRectangle;
-        var width = outerRectangle.east - outerRectangle.west;
-        var height = outerRectangle.north - outerRectangle.south;
-        var pushBlend = this.pushBlend = this._pushBlendFraction * ((width < height) ? width : height);
-        
-        var innerRectangle = this._innerRectangle = outerRectangle.clone();
-        innerRectangle.west += pushBlend;
-        innerRectangle.south += pushBlend;
-        innerRectangle.east -= pushBlend;
-        innerRectangle.north -= pushBlend;
-    }
+    this._getDefaultRegion().setInnerRectangle(newRectangle);
 };
 
 /**
- * Returns the actual outer rectangle of the push region.
+ * Returns the actual outer rectangle of the default push region.
  * @return {Rectangle}  The outer rectangle.
  */
 GroundPush.prototype.getOuterRectangle = function() {
-    return this._outerRectangle;
+    return this._getDefaultRegion().getOuterRectangle();
 };
 
 /**
- * Sets the outer rectangle of the push region. Recalculates the inner rectangle automatically.
+ * Sets the outer rectangle of the default push region. Recalculates the inner rectangle automatically.
  * @param {Rectangle} newRectangle  The new outer rectangle of the push region.
  */
 GroundPush.prototype.setOuterRectangle = function(newRectangle) {
-    if (this.Cesium.defined(newRectangle)) {
-        this._outerRectangle = newRectangle;
-        this.setInnerRectangle();
-    } else {
-        var innerRectangle = this._innerRectangle;
-        var width = innerRectangle.east - innerRectangle.west;
-        var height = innerRectangle.north - innerRectangle.south;
-        var pushBlend = this.pushBlend = this._pushBlendFraction * ((width < height) ? width : height);
-        
-        var outerRectangle = this._outerRectangle = innerRectangle.clone();
-        outerRectangle.west -= pushBlend;
-        outerRectangle.south -= pushBlend;
-        outerRectangle.east += pushBlend;
-        outerRectangle.north += pushBlend;
-    }
+    this._getDefaultRegion().setOuterRectangle(newRectangle);
+};
+
+/**
+ * Returns the wall mode of the default push region.
+ * @return {String}  'ramp' or 'vertical'.
+ */
+GroundPush.prototype.getWallMode = function() {
+    return this._getDefaultRegion().getWallMode();
+};
+
+/**
+ * Sets the wall mode of the default push region. Terrain tiles covering the region are re-meshed.
+ * @param {String} wallMode  'ramp' or 'vertical'.
+ */
+GroundPush.prototype.setWallMode = function(wallMode) {
+    this._getDefaultRegion().setWallMode(wallMode);
+};
+
+/**
+ * Returns the width of the ramp sides set for the default push region.
+ * @return {Number}  The width in the units of getBlendUnits, or undefined if it follows the size of the region.
+ */
+GroundPush.prototype.getBlendWidth = function() {
+    return this._getDefaultRegion().getBlendWidth();
+};
+
+/**
+ * Returns the units of the width of the ramp sides of the default push region.
+ * @return {String}  'metres' or 'radians'.
+ */
+GroundPush.prototype.getBlendUnits = function() {
+    return this._getDefaultRegion().getBlendUnits();
+};
+
+/**
+ * Sets the width of the ramp sides of the default push region. Terrain tiles covering the region are re-meshed.
+ * @param {Number} blendWidth  The width, or undefined to follow the size of the region again.
+ * @param {String} blendUnits  'metres' or 'radians'. Defaults to 'metres'.
+ */
+GroundPush.prototype.setBlendWidth = function(blendWidth, blendUnits) {
+    this._getDefaultRegion().setBlendWidth(blendWidth, blendUnits);
+};
+
+/**
+ * Returns the profile of the ramp sides of the default push region.
+ * @return {String}  The name of the profile, or its GLSL expression.
+ */
+GroundPush.prototype.getBlendProfile = function() {
+    return this._getDefaultRegion().getBlendProfile();
+};
+
+/**
+ * Sets the profile of the ramp sides of the default push region.
+ * @param {String} blendProfile  'smoothstep', 'linear', 'cosine', 'step' or a GLSL expression of x.
+ */
+GroundPush.prototype.setBlendProfile = function(blendProfile) {
+    this._getDefaultRegion().setBlendProfile(blendProfile);
+};
+
+/**
+ * Returns the benches of the default push region.
+ * @return {Object[]}  The { depth, inset } of every bench from the top down.
+ */
+GroundPush.prototype.getBenches = function() {
+    return this._getDefaultRegion().getBenches();
+};
+
+/**
+ * Sets the benches of the default push region. Terrain tiles covering the region are re-meshed.
+ * @param {Object[]} benches  The { depth, inset } of every bench from the top down, in metres.
+ */
+GroundPush.prototype.setBenches = function(benches) {
+    this._getDefaultRegion().setBenches(benches);
+};
+
+/**
+ * Returns the depth texture of the default push region.
+ * @return {Image|Canvas|Object}  The depth texture as it was set, or undefined.
+ */
+GroundPush.prototype.getDepthTexture = function() {
+    return this._getDefaultRegion().getDepthTexture();
+};
+
+/**
+ * Sets the depth texture of the default push region.
+ * @param {Image|Canvas|Object} depthTexture  The depth texture, or undefined to push the floor flat again.
+ */
+GroundPush.prototype.setDepthTexture = function(depthTexture) {
+    this._getDefaultRegion().setDepthTexture(depthTexture);
+};
+
+/**
+ * Returns the push mode of the default push region.
+ * @return {String}  'relative', 'flatten' or 'raise'.
+ */
+GroundPush.prototype.getMode = function() {
+    return this._getDefaultRegion().getMode();
+};
+
+/**
+ * Sets the push mode of the default push region.
+ * @param {String} mode  'relative' to push the terrain by the pushDepth, 'flatten' to push it to the pushDepth
+ *                       as a height above the ellipsoid, or 'raise' to lift it by the pushDepth with skirts.
+ */
+GroundPush.prototype.setMode = function(mode) {
+    this._getDefaultRegion().setMode(mode);
+};
+
+/**
+ * Animates the pushDepth to a target depth, see GroundPushRegion.animateDepth.
+ * @param {Number} target  The depth to animate to, in metres.
+ * @param {Object} options  The duration in seconds, the easing function, and the scene or clock driving the
+ *                          animation.
+ * @return {Promise}  A promise resolving when the pushDepth reaches the target depth.
+ */
+GroundPush.prototype.animateDepth = function(target, options) {
+    return this._getDefaultRegion().animateDepth(target, options);
+};
+
+/**
+ * Stops the animation of the pushDepth, leaving it where it is.
+ * @return {Boolean}  true if an animation was stopped.
+ */
+GroundPush.prototype.stopDepthAnimation = function() {
+    return this._getDefaultRegion().stopDepthAnimation();
+};
+
+/**
+ * Returns the strata of the default push region.
+ * @return {Object[]}  The { topDepth, bottomDepth, color, image, imageSize } of every stratum.
+ */
+GroundPush.prototype.getStrata = function() {
+    return this._getDefaultRegion().getStrata();
+};
+
+/**
+ * Sets the strata of the default push region.
+ * @param {Object[]} strata  The { topDepth, bottomDepth, color, image, imageSize } of every stratum, with the depths
+ *                           in metres below the original surface.
+ */
+GroundPush.prototype.setStrata = function(strata) {
+    this._getDefaultRegion().setStrata(strata);
+};
+
+/**
+ * Returns the contours of the default push region.
+ * @return {Object}  The { spacing, color, width } of the contours, or undefined.
+ */
+GroundPush.prototype.getContours = function() {
+    return this._getDefaultRegion().getContours();
+};
+
+/**
+ * Sets the contours of the default push region.
+ * @param {Object} contours  The { spacing, color, width } of the contours, with the spacing in metres and the width
+ *                           in pixels, or undefined to remove them.
+ */
+GroundPush.prototype.setContours = function(contours) {
+    this._getDefaultRegion().setContours(contours);
+};
+
+/**
+ * Returns the grid drawn on the floor of the default push region.
+ * @return {Object}  The { spacing, color, lineWidth, origin } of the grid, or undefined.
+ */
+GroundPush.prototype.getGrid = function() {
+    return this._getDefaultRegion().getGrid();
+};
+
+/**
+ * Sets the grid drawn on the floor of the default push region.
+ * @param {Object} grid  The { spacing, color, lineWidth, origin } of the grid, with the spacing in metres and the line
+ *                       width in pixels, or undefined to remove it.
+ */
+GroundPush.prototype.setGrid = function(grid) {
+    this._getDefaultRegion().setGrid(grid);
 };
\ No newline at end of file
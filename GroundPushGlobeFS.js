@@ -1,4 +1,7 @@
 var GroundPushGlobeFS = "#line 0\n\
+#ifdef GL_OES_standard_derivatives\n\
+#extension GL_OES_standard_derivatives : enable\n\
+#endif\n\
 //#define SHOW_TILE_BOUNDARIES\n\
 \n\
 uniform vec4 u_initialColor;\n\
@@ -54,10 +57,84 @@ varying vec2 v_textureCoordinates;\n\
 varying vec3 v_normalMC;\n\
 varying vec3 v_normalEC;\n\
 \n\
+#define MAX_PUSH_REGIONS 8\n\
+#define MAX_PUSH_STRATA 8\n\
+#define PUSH_DISPLAY_PUSHED_ONLY 1.0\n\
+#define PUSH_DISPLAY_OUTSIDE_ONLY 2.0\n\
+#define PUSH_DISPLAY_WALLS_ONLY 3.0\n\
 varying float v_push;\n\
-uniform vec3 u_pushBaseTint;\n\
-uniform vec3 u_pushSidesTint;\n\
-uniform float u_showOnlyInPushedRegion[TEXTURE_UNITS];\n\
+varying float v_pushRegion;\n\
+varying float v_pushWall;\n\
+// Metres along the edge of a rectangle region and below the original surface.\n\
+varying vec2 v_wallCoordinates;\n\
+varying float v_pushedHeight;\n\
+uniform vec3 u_pushBaseTints[MAX_PUSH_REGIONS];\n\
+uniform vec3 u_pushSidesTints[MAX_PUSH_REGIONS];\n\
+// Where each imagery layer is drawn, one of the GroundPush.DISPLAY_VALUES.\n\
+uniform float u_pushDisplay[TEXTURE_UNITS];\n\
+// x: first stratum, y: strata count.\n\
+uniform vec2 u_pushRegionStrata[MAX_PUSH_REGIONS];\n\
+// x: top depth, y: bottom depth, z: image in the strata texture or -1, w: size of the image in metres.\n\
+uniform vec4 u_pushStrata[MAX_PUSH_STRATA];\n\
+uniform vec4 u_pushStrataColors[MAX_PUSH_STRATA];\n\
+// The images of the strata, one below the other.\n\
+uniform sampler2D u_pushStrataTexture;\n\
+uniform float u_pushStrataImageCount;\n\
+// x: row of the colour ramp texture or -1, y: 1 for the height above the ellipsoid rather than the push,\n\
+// zw: depths at the left and right of the ramp.\n\
+uniform vec4 u_pushColorRamps[MAX_PUSH_REGIONS];\n\
+uniform sampler2D u_pushColorRampTexture;\n\
+// x: metres between contours or 0, y: width of the contours in pixels.\n\
+uniform vec2 u_pushContours[MAX_PUSH_REGIONS];\n\
+uniform vec4 u_pushContourColors[MAX_PUSH_REGIONS];\n\
+// x: metres between grid lines or 0, y: width of the lines in pixels, z: metres per radian of longitude at the\n\
+// origin, w: metres per radian of latitude.\n\
+uniform vec4 u_pushGrids[MAX_PUSH_REGIONS];\n\
+uniform vec2 u_pushGridOrigins[MAX_PUSH_REGIONS];\n\
+uniform vec4 u_pushGridColors[MAX_PUSH_REGIONS];\n\
+uniform vec4 u_realTileRectangle;\n\
+\n\
+// The tints, strata, colour ramp, contours and grid of the region this fragment belongs to, set by selectPushTints.\n\
+vec3 pushBaseTint = vec3(1.0);\n\
+vec3 pushSidesTint = vec3(1.0);\n\
+vec2 pushStrata = vec2(0.0);\n\
+vec4 pushColorRamp = vec4(-1.0, 0.0, 0.0, 1.0);\n\
+// The colour of the ramp at the depth of this fragment, transparent without a ramp.\n\
+vec4 pushRampColor = vec4(0.0);\n\
+vec2 pushContours = vec2(0.0);\n\
+vec4 pushContourColor = vec4(0.0);\n\
+vec4 pushGrid = vec4(0.0);\n\
+vec2 pushGridOrigin = vec2(0.0);\n\
+vec4 pushGridColor = vec4(0.0);\n\
+\n\
+void selectPushTints()\n\
+{\n\
+    // Uniform arrays can only be indexed by loop indices in fragment shaders.\n\
+    float region = floor(v_pushRegion + 0.5);\n\
+    for (int i = 0; i < MAX_PUSH_REGIONS; ++i)\n\
+    {\n\
+        if (float(i) == region)\n\
+        {\n\
+            pushBaseTint = u_pushBaseTints[i];\n\
+            pushSidesTint = u_pushSidesTints[i];\n\
+            pushStrata = u_pushRegionStrata[i];\n\
+            pushColorRamp = u_pushColorRamps[i];\n\
+            pushContours = u_pushContours[i];\n\
+            pushContourColor = u_pushContourColors[i];\n\
+            pushGrid = u_pushGrids[i];\n\
+            pushGridOrigin = u_pushGridOrigins[i];\n\
+            pushGridColor = u_pushGridColors[i];\n\
+        }\n\
+    }\n\
+\n\
+    if (pushColorRamp.x >= 0.0)\n\
+    {\n\
+        float depth = pushColorRamp.y > 0.5 ? v_pushedHeight : -v_wallCoordinates.y;\n\
+        float s = clamp((depth - pushColorRamp.z) / (pushColorRamp.w - pushColorRamp.z), 0.0, 1.0);\n\
+        float t = 1.0 - (pushColorRamp.x + 0.5) / float(MAX_PUSH_REGIONS);\n\
+        pushRampColor = texture2D(u_pushColorRampTexture, vec2(s, t));\n\
+    }\n\
+}\n\
 \n\
 vec4 sampleAndBlend(\n\
     vec4 previousColor,\n\
@@ -71,7 +148,7 @@ vec4 sampleAndBlend(\n\
     float textureHue,\n\
     float textureSaturation,\n\
     float textureOneOverGamma,\n\
-    float showOnlyInPushedRegion)\n\
+    float pushDisplay)\n\
 {\n\
     // This crazy step stuff sets the alpha to 0.0 if this following condition is true:\n\
     //    tileTextureCoordinates.s < textureCoordinateRectangle.s ||\n\
@@ -117,25 +194,107 @@ vec4 sampleAndBlend(\n\
     float outAlpha = mix(previousColor.a, 1.0, sourceAlpha);\n\
     vec3 outColor = mix(previousColor.rgb * previousColor.a, color, sourceAlpha) / outAlpha;\n\
 \n\
-    // If we're clipping this layer\n\
-    if (showOnlyInPushedRegion > 0.5){\n\
-        float amt = smoothstep(0.95, 1.0, v_push);\n\
+    // If we're clipping this layer, it fades in and out over the top and bottom of the sides, untinted.\n\
+    if (pushDisplay > 0.5){\n\
+        float pushed = max(smoothstep(0.0, 0.05, v_push), v_pushWall);\n\
+        float onFloor = smoothstep(0.95, 1.0, v_push) * (1.0 - v_pushWall);\n\
+        float amt = onFloor;\n\
+        if (pushDisplay == PUSH_DISPLAY_PUSHED_ONLY) amt = pushed;\n\
+        else if (pushDisplay == PUSH_DISPLAY_OUTSIDE_ONLY) amt = 1.0 - pushed;\n\
+        else if (pushDisplay == PUSH_DISPLAY_WALLS_ONLY) amt = pushed - onFloor;\n\
         outColor = mix(previousColor.rgb, outColor.rgb, amt);\n\
-    } else if (v_push > 0.0001){\n\
+    } else if (v_push > 0.0001 || v_pushWall > 0.0){\n\
         // Only darken if we're not clipping a layer\n\
-        if( showOnlyInPushedRegion < 0.5 ) {\n\
-            vec3 edgeColor = outColor * u_pushSidesTint;\n\
-            vec3 pushColor = outColor * u_pushBaseTint;\n\
+        if( pushDisplay < 0.5 ) {\n\
+            vec3 edgeColor = mix(outColor * pushSidesTint, pushRampColor.rgb, pushRampColor.a);\n\
+            vec3 pushColor = mix(outColor * pushBaseTint, pushRampColor.rgb, pushRampColor.a);\n\
             float amt = 1.0-smoothstep(0.0, 0.05, v_push);\n\
             float amt2 = 1.0-smoothstep(0.95, 1.0, v_push);\n\
             outColor = mix(outColor, edgeColor, (1.0-amt));\n\
             outColor = mix(outColor, pushColor, (1.0-amt2));\n\
+            // Walls and skirts are sides from top to bottom, up against the floor or top of the region.\n\
+            outColor = mix(outColor, edgeColor, v_pushWall);\n\
         }\n\
     }\n\
 \n\
     return vec4(outColor, outAlpha);\n\
 }\n\
 \n\
+// Colours the sides and walls of the region with the stratum at the depth of the fragment.\n\
+vec4 applyPushStrata(vec4 color)\n\
+{\n\
+    float sides = max(v_pushWall, smoothstep(0.0, 0.05, v_push) * (1.0 - smoothstep(0.95, 1.0, v_push)));\n\
+    if (sides <= 0.0 || pushStrata.y < 0.5) return color;\n\
+\n\
+    float depth = v_wallCoordinates.y;\n\
+    for (int j = 0; j < MAX_PUSH_STRATA; ++j)\n\
+    {\n\
+        float stratum = float(j);\n\
+        vec4 strataDepths = u_pushStrata[j];\n\
+        if (stratum >= pushStrata.x && stratum < pushStrata.x + pushStrata.y && depth >= strataDepths.x && depth < strataDepths.y)\n\
+        {\n\
+            vec4 stratumColor = u_pushStrataColors[j];\n\
+            if (strataDepths.z >= 0.0)\n\
+            {\n\
+                vec2 st = fract(v_wallCoordinates / strataDepths.w);\n\
+                st.y = 1.0 - (strataDepths.z + st.y) / u_pushStrataImageCount;\n\
+                stratumColor *= texture2D(u_pushStrataTexture, st);\n\
+            }\n\
+            return vec4(mix(color.rgb, stratumColor.rgb, stratumColor.a * sides), color.a);\n\
+        }\n\
+    }\n\
+    return color;\n\
+}\n\
+\n\
+// Draws contours of the pushed height, their width in pixels kept by the screen space derivatives of the height.\n\
+vec4 applyPushContours(vec4 color)\n\
+{\n\
+    if (pushContours.x <= 0.0 || v_push <= 0.0) return color;\n\
+\n\
+    float height = v_pushedHeight / pushContours.x;\n\
+    float distanceToContour = abs(fract(height + 0.5) - 0.5);\n\
+#ifdef GL_OES_standard_derivatives\n\
+    // A flattened floor has no height change across it and so no contours.\n\
+    float pixel = fwidth(height);\n\
+    if (pixel < 1.0e-7) return color;\n\
+    float halfWidth = 0.5 * pushContours.y * czm_resolutionScale;\n\
+    float line = 1.0 - smoothstep(halfWidth - 0.5, halfWidth + 0.5, distanceToContour / pixel);\n\
+#else\n\
+    float line = 1.0 - smoothstep(0.01, 0.02, distanceToContour);\n\
+#endif\n\
+    return vec4(mix(color.rgb, pushContourColor.rgb, pushContourColor.a * line), color.a);\n\
+}\n\
+\n\
+// Draws the grid of the region on its floor, faded out with the distance from the camera before the cells are too\n\
+// few pixels across to draw without aliasing.\n\
+vec4 applyPushGrid(vec4 color)\n\
+{\n\
+    float onFloor = smoothstep(0.95, 1.0, v_push) * (1.0 - v_pushWall);\n\
+    if (pushGrid.x <= 0.0 || onFloor <= 0.0) return color;\n\
+\n\
+    // Offsets from the origin in metres, taken from the corner of the tile to keep the precision of the small angles.\n\
+    vec2 tileOffset = u_realTileRectangle.st - pushGridOrigin;\n\
+    vec2 offset = (tileOffset + v_textureCoordinates * (u_realTileRectangle.pq - u_realTileRectangle.st)) * pushGrid.zw;\n\
+    vec2 cell = offset / pushGrid.x;\n\
+    vec2 distanceToLine = abs(fract(cell + 0.5) - 0.5);\n\
+    float halfWidth = 0.5 * pushGrid.y * czm_resolutionScale;\n\
+\n\
+    // Size of a pixel in metres at the distance of the fragment from the camera.\n\
+    float cameraDistance = 1.0 / gl_FragCoord.w;\n\
+    float pixelSize = 2.0 * cameraDistance / (czm_projection[1][1] * czm_viewport.w);\n\
+    float fade = smoothstep(4.0, 8.0, pushGrid.x / (pixelSize * max(2.0 * halfWidth, 1.0)));\n\
+    if (fade <= 0.0) return color;\n\
+\n\
+#ifdef GL_OES_standard_derivatives\n\
+    vec2 pixel = max(fwidth(cell), vec2(1.0e-7));\n\
+#else\n\
+    vec2 pixel = vec2(pixelSize / pushGrid.x);\n\
+#endif\n\
+    vec2 lines = 1.0 - smoothstep(vec2(halfWidth - 0.5), vec2(halfWidth + 0.5), distanceToLine / pixel);\n\
+    float line = max(lines.x, lines.y) * fade * onFloor;\n\
+    return vec4(mix(color.rgb, pushGridColor.rgb, pushGridColor.a * line), color.a);\n\
+}\n\
+\n\
 vec4 computeDayColor(vec4 initialColor, vec2 textureCoordinates);\n\
 vec4 computeWaterColor(vec3 positionEyeCoordinates, vec2 textureCoordinates, mat3 enuToEye, vec4 imageryColor, float specularMapValue);\n\
 \n\
@@ -145,7 +304,11 @@ void main()\n\
     // where the fragment shader sees textures coordinates < 0.0 and > 1.0 for the\n\
     // fragments on the edges of tiles even though the vertex shader is outputting\n\
     // coordinates strictly in the 0-1 range.\n\
+    selectPushTints();\n\
     vec4 color = computeDayColor(u_initialColor, clamp(v_textureCoordinates, 0.0, 1.0));\n\
+    color = applyPushStrata(color);\n\
+    color = applyPushContours(color);\n\
+    color = applyPushGrid(color);\n\
 \n\
 #ifdef SHOW_TILE_BOUNDARIES\n\
     if (v_textureCoordinates.x < (1.0/256.0) || v_textureCoordinates.x > (255.0/256.0) ||\n\
@@ -84,7 +84,7 @@ GroundPushGlobeSurfaceShaderSet.prototype.getShaderProgram = function(context, t
                 (applyHue ?        '   u_dayTextureHue[' + i + '],\n' : '0.0,\n') +
                 (applySaturation ? '   u_dayTextureSaturation[' + i + '],\n' : '0.0,\n') +
                 (applyGamma ?      '   u_dayTextureOneOverGamma[' + i + '],\n' : '0.0,\n') +
-                '   u_showOnlyInPushedRegion[' + i + ']);\n' ;
+                '   u_pushDisplay[' + i + ']);\n' ;
         }
 
         fs +=
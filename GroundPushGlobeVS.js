@@ -1,6 +1,6 @@
 var GroundPushGlobeVS = "#line 0\n\
 attribute vec4 position3DAndHeight;\n\
-attribute vec2 textureCoordAndEncodedNormals;\n\
+attribute vec4 textureCoordAndEncodedNormals;\n\
 \n\
 uniform vec3 u_center3D;\n\
 uniform mat4 u_modifiedModelView;\n\
@@ -18,20 +18,76 @@ varying vec3 v_normalMC;\n\
 varying vec3 v_normalEC;\n\
 \n\
 // Ground push related settings\n\
+#define MAX_PUSH_REGIONS 8\n\
+#define MAX_PUSH_POLYGON_VERTICES 64\n\
+#define MAX_PUSH_BENCHES 16\n\
+#define PUSH_SHAPE_POLYGON 1.0\n\
+#define PUSH_SHAPE_ELLIPSE 2.0\n\
 varying float v_push;\n\
+varying float v_pushRegion;\n\
 uniform vec4 u_realTileRectangle;\n\
-uniform float u_pushDepth;\n\
-uniform float u_pushBlend;\n\
-uniform vec4 u_pushRectangle;\n\
+uniform float u_pushRegionCount;\n\
+// x: shape type, y: first polygon vertex, z: polygon vertex count, w: ellipse rotation.\n\
+uniform vec4 u_pushRegionShapes[MAX_PUSH_REGIONS];\n\
+uniform vec2 u_pushPolygonVertices[MAX_PUSH_POLYGON_VERTICES];\n\
+// xy: ellipse center, zw: semi-major and semi-minor axes in radians.\n\
+uniform vec4 u_pushEllipses[MAX_PUSH_REGIONS];\n\
+uniform vec4 u_pushRectangles[MAX_PUSH_REGIONS];\n\
+uniform float u_pushDepths[MAX_PUSH_REGIONS];\n\
+uniform float u_pushBlends[MAX_PUSH_REGIONS];\n\
+uniform float u_pushBlendProfiles[MAX_PUSH_REGIONS];\n\
+uniform float u_pushModes[MAX_PUSH_REGIONS];\n\
+// x: first bench, y: bench count.\n\
+uniform vec2 u_pushRegionBenches[MAX_PUSH_REGIONS];\n\
+// x: inset of the edge at the end of the bench in radians, y: depth, z: width of the ramp to the next level.\n\
+uniform vec4 u_pushBenches[MAX_PUSH_BENCHES];\n\
+#ifdef PUSH_DEPTH_TEXTURE\n\
+uniform sampler2D u_pushDepthTexture;\n\
+#endif\n\
+// x: region with the depth texture or -1, y: 1 if its values are packed into red and green, zw: size in texels.\n\
+uniform vec4 u_pushDepthTextureParameters;\n\
+// The range of the packed values.\n\
+uniform vec2 u_pushDepthTextureRange;\n\
+\n\
+// Blend profiles of the ramp sides, matching GroundPushRegion.BLEND_PROFILE_VALUES.\n\
+#define PUSH_PROFILE_LINEAR 1.0\n\
+#define PUSH_PROFILE_COSINE 2.0\n\
+#define PUSH_PROFILE_STEP 3.0\n\
+#define PUSH_PROFILE_CUSTOM 4.0\n\
+\n\
+// Push modes, matching GroundPushRegion.MODE_VALUES.\n\
+#define PUSH_MODE_FLATTEN 1.0\n\
+\n\
+// Texture coordinates of the walls and sides, in metres along the edge counter-clockwise from the south-west\n\
+// corner of a rectangle region and in metres below the original surface, which the strata are coloured by.\n\
+varying vec2 v_wallCoordinates;\n\
+// 1 on the faces of the walls of vertical regions and the skirts of raised regions, 0 elsewhere.\n\
+varying float v_pushWall;\n\
+// Height of the pushed terrain above the ellipsoid in metres.\n\
+varying float v_pushedHeight;\n\
+\n\
+// The slicer flags the vertices at the top and the base of the walls of vertical regions by adding twice\n\
+// the flag to the u texture coordinate. The vertices of the faces of the walls have horizontal normals.\n\
+#define WALL_TOP 1.0\n\
+#define WALL_BASE 2.0\n\
+#define WALL_FACE_TOP 3.0\n\
+#define WALL_FACE_BASE 4.0\n\
+\n\
+// The push offset of the current vertex, set in main before the position is calculated.\n\
+float pushOffset = 0.0;\n\
+\n\
+// The texture coordinates of the current vertex without the wall flag, set at the start of main.\n\
+vec2 textureCoordinates = vec2(0.0);\n\
 \n\
 // These functions are generated at runtime.\n\
 vec4 getPosition(vec3 position3DWC);\n\
 float get2DYPositionFraction();\n\
+float customPushBlendProfile(float profile, float x);\n\
 \n\
 vec4 getPosition3DMode(vec3 position3DWC)\n\
 {\n\
     vec3 geocentricNormal = normalize(position3DWC); // Use incoming position as geocentric normal\n\
-    vec3 pmod = position3DAndHeight.xyz + geocentricNormal * (v_push * u_pushDepth);\n\
+    vec3 pmod = position3DAndHeight.xyz + geocentricNormal * pushOffset;\n\
     return czm_projection * (u_modifiedModelView * vec4(pmod, 1.0));\n\
 }\n\
 \n\
@@ -43,7 +99,7 @@ float get2DMercatorYPositionFraction()\n\
     // when we're at this level or higher.  The constant below is the expression\n\
     // above evaluated and then rounded up at the 4th significant digit.\n\
     const float maxTileWidth = 0.003068;\n\
-    float positionFraction = textureCoordAndEncodedNormals.y;\n\
+    float positionFraction = textureCoordinates.y;\n\
     float southLatitude = u_southAndNorthLatitude.x;\n\
     float northLatitude = u_southAndNorthLatitude.y;\n\
     if (northLatitude - southLatitude > maxTileWidth)\n\
@@ -52,7 +108,7 @@ float get2DMercatorYPositionFraction()\n\
         float southMercatorYHigh = u_southMercatorYLowAndHighAndOneOverHeight.y;\n\
         float oneOverMercatorHeight = u_southMercatorYLowAndHighAndOneOverHeight.z;\n\
 \n\
-        float currentLatitude = mix(southLatitude, northLatitude, textureCoordAndEncodedNormals.y);\n\
+        float currentLatitude = mix(southLatitude, northLatitude, textureCoordinates.y);\n\
         currentLatitude = clamp(currentLatitude, -czm_webMercatorMaxLatitude, czm_webMercatorMaxLatitude);\n\
         positionFraction = czm_latitudeToWebMercatorFraction(currentLatitude, southMercatorYLow, southMercatorYHigh, oneOverMercatorHeight);\n\
     }    \n\
@@ -61,13 +117,13 @@ float get2DMercatorYPositionFraction()\n\
 \n\
 float get2DGeographicYPositionFraction()\n\
 {\n\
-    return textureCoordAndEncodedNormals.y;\n\
+    return textureCoordinates.y;\n\
 }\n\
 \n\
 vec4 getPositionPlanarEarth(vec3 position3DWC, float height2D)\n\
 {\n\
     float yPositionFraction = get2DYPositionFraction();\n\
-    vec4 rtcPosition2D = vec4(height2D, mix(u_tileRectangle.st, u_tileRectangle.pq, vec2(textureCoordAndEncodedNormals.x, yPositionFraction)), 1.0);  \n\
+    vec4 rtcPosition2D = vec4(height2D, mix(u_tileRectangle.st, u_tileRectangle.pq, vec2(textureCoordinates.x, yPositionFraction)), 1.0);  \n\
     return czm_projection * (u_modifiedModelView * rtcPosition2D);\n\
 }\n\
 \n\
@@ -78,7 +134,7 @@ vec4 getPosition2DMode(vec3 position3DWC)\n\
 \n\
 vec4 getPositionColumbusViewMode(vec3 position3DWC)\n\
 {\n\
-    return getPositionPlanarEarth(position3DWC, position3DAndHeight.w + v_push * u_pushDepth);\n\
+    return getPositionPlanarEarth(position3DWC, position3DAndHeight.w + pushOffset);\n\
 }\n\
 \n\
 vec4 getPositionMorphingMode(vec3 position3DWC)\n\
@@ -86,11 +142,29 @@ vec4 getPositionMorphingMode(vec3 position3DWC)\n\
     // We do not do RTC while morphing, so there is potential for jitter.\n\
     // This is unlikely to be noticeable, though.\n\
     float yPositionFraction = get2DYPositionFraction();\n\
-    vec4 position2DWC = vec4(0.0, mix(u_tileRectangle.st, u_tileRectangle.pq, vec2(textureCoordAndEncodedNormals.x, yPositionFraction)), 1.0);\n\
+    vec4 position2DWC = vec4(0.0, mix(u_tileRectangle.st, u_tileRectangle.pq, vec2(textureCoordinates.x, yPositionFraction)), 1.0);\n\
     vec4 morphPosition = czm_columbusViewMorph(position2DWC, vec4(position3DWC, 1.0), czm_morphTime);\n\
     return czm_modelViewProjection * morphPosition;\n\
 }\n\
-float calcPush1d(float x, float sidesStart, float baseStart, float baseFinish, float sidesFinish)\n\
+// Scale of differences of longitude and latitude that turns them into radians of arc around the given latitude,\n\
+// like GroundPushRegion._getCosLatitude. Every distance and blend of a region is measured in these units.\n\
+vec2 arcScale(float latitude)\n\
+{\n\
+    return vec2(max(cos(latitude), czm_epsilon3), 1.0);\n\
+}\n\
+\n\
+// Push across the sides, from 0 at the outer edge to 1 at the inner edge, like smoothstep(outer, inner, x).\n\
+float pushBlendProfile(float profile, float outer, float inner, float x)\n\
+{\n\
+    float t = clamp((x - outer) / (inner - outer), 0.0, 1.0);\n\
+    if (profile == PUSH_PROFILE_LINEAR) return t;\n\
+    if (profile == PUSH_PROFILE_COSINE) return 0.5 - 0.5 * cos(czm_pi * t);\n\
+    if (profile == PUSH_PROFILE_STEP) return step(0.5, t);\n\
+    if (profile >= PUSH_PROFILE_CUSTOM) return clamp(customPushBlendProfile(profile, t), 0.0, 1.0);\n\
+    return t * t * (3.0 - 2.0 * t);\n\
+}\n\
+\n\
+float calcPush1d(float x, float sidesStart, float baseStart, float baseFinish, float sidesFinish, float profile)\n\
 {\n\
     // Outside push rectangle\n\
     if( x <= sidesStart || x >= sidesFinish ) return 0.0;\n\
@@ -98,23 +172,309 @@ float calcPush1d(float x, float sidesStart, float baseStart, float baseFinish, f
     // Inside base region\n\
     if( x >= baseStart && x <= baseFinish ) return 1.0;\n\
 \n\
-    // Smooth the sides\n\
-    if( x < baseStart ) return smoothstep(sidesStart, baseStart, x);\n\
-    return smoothstep(sidesFinish, baseFinish, x);\n\
+    // Blend the sides\n\
+    if( x < baseStart ) return pushBlendProfile(profile, sidesStart, baseStart, x);\n\
+    return pushBlendProfile(profile, sidesFinish, baseFinish, x);\n\
+}\n\
+\n\
+// Push of the rectangle shrunk by the inset. The inset and blend are in radians of arc, so they span the same\n\
+// distance on the ground on every side.\n\
+float calcPush(vec2 loc, vec4 rectangle, float inset, float blend, float profile)\n\
+{\n\
+    vec2 scale = arcScale(0.5 * (rectangle.y + rectangle.w));\n\
+    loc *= scale;\n\
+    rectangle = rectangle * scale.xyxy + vec4(inset, inset, -inset, -inset);\n\
+    return calcPush1d(loc.x, rectangle.x - blend, rectangle.x, rectangle.z, rectangle.z + blend, profile)\n\
+        * calcPush1d(loc.y, rectangle.y - blend, rectangle.y, rectangle.w, rectangle.w + blend, profile);\n\
+}\n\
+\n\
+// Signed distance from the rectangle's edge in radians of arc, negative inside.\n\
+float rectangleDistance(vec2 loc, vec4 rectangle)\n\
+{\n\
+    vec2 scale = arcScale(0.5 * (rectangle.y + rectangle.w));\n\
+    loc *= scale;\n\
+    rectangle *= scale.xyxy;\n\
+    vec2 d = abs(loc - 0.5 * (rectangle.xy + rectangle.zw)) - 0.5 * (rectangle.zw - rectangle.xy);\n\
+    return length(max(d, 0.0)) + min(max(d.x, d.y), 0.0);\n\
+}\n\
+\n\
+// Signed distance from the polygon's edge in radians of arc around the latitude of the center of its bounding\n\
+// rectangle, negative inside.\n\
+float polygonDistance(vec2 loc, vec4 shape, vec4 rectangle)\n\
+{\n\
+    int first = int(shape.y + 0.5);\n\
+    int count = int(shape.z + 0.5);\n\
+    vec2 scale = arcScale(0.5 * (rectangle.y + rectangle.w));\n\
+    vec2 previous = u_pushPolygonVertices[first + count - 1];\n\
+    float d = dot((loc - previous) * scale, (loc - previous) * scale);\n\
+    float s = 1.0;\n\
+    for (int j = 0; j < MAX_PUSH_POLYGON_VERTICES; ++j)\n\
+    {\n\
+        if (j >= count) break;\n\
+\n\
+        vec2 current = u_pushPolygonVertices[first + j];\n\
+        vec2 edge = (current - previous) * scale;\n\
+        vec2 w = (loc - previous) * scale;\n\
+        vec2 b = w - edge * clamp(dot(w, edge) / dot(edge, edge), 0.0, 1.0);\n\
+        d = min(d, dot(b, b));\n\
+\n\
+        // Flip the sign every time a ray along +x crosses an edge.\n\
+        bvec3 c = bvec3(loc.y >= previous.y, loc.y < current.y, edge.x * w.y > edge.y * w.x);\n\
+        if (all(c) || all(not(c))) s *= -1.0;\n\
+\n\
+        previous = current;\n\
+    }\n\
+    return s * sqrt(d);\n\
+}\n\
+\n\
+// Approximate signed distance from the ellipse's edge, negative inside.\n\
+float ellipseDistance(vec2 loc, vec4 ellipse, float rotation)\n\
+{\n\
+    vec2 p = (loc - ellipse.xy) * arcScale(ellipse.y);\n\
+    float c = cos(rotation);\n\
+    float s = sin(rotation);\n\
+    p = vec2(c * p.x + s * p.y, c * p.y - s * p.x);\n\
+\n\
+    float k0 = length(p / ellipse.zw);\n\
+    float k1 = length(p / (ellipse.zw * ellipse.zw));\n\
+    if (k1 == 0.0) return -min(ellipse.z, ellipse.w);\n\
+    return k0 * (k0 - 1.0) / k1;\n\
+}\n\
+\n\
+// Radial version of calcPush, the blend follows the curve of the ellipse.\n\
+float calcRadialPush(vec2 loc, vec4 ellipse, float rotation, float blend, float profile)\n\
+{\n\
+    return pushBlendProfile(profile, blend, 0.0, ellipseDistance(loc, ellipse, rotation));\n\
+}\n\
+\n\
+float regionShapeDistance(vec2 loc, int region)\n\
+{\n\
+    if (u_pushRegionShapes[region].x == PUSH_SHAPE_ELLIPSE)\n\
+    {\n\
+        return ellipseDistance(loc, u_pushEllipses[region], u_pushRegionShapes[region].w);\n\
+    }\n\
+    if (u_pushRegionShapes[region].x == PUSH_SHAPE_POLYGON)\n\
+    {\n\
+        return polygonDistance(loc, u_pushRegionShapes[region], u_pushRectangles[region]);\n\
+    }\n\
+    return rectangleDistance(loc, u_pushRectangles[region]);\n\
 }\n\
 \n\
-float calcPush(vec2 loc)\n\
+float calcRegionPush(vec2 loc, int region, float regionDistance)\n\
 {\n\
-    return calcPush1d(loc.x, u_pushRectangle.x - u_pushBlend, u_pushRectangle.x, u_pushRectangle.z, u_pushRectangle.z + u_pushBlend)\n\
-        * calcPush1d(loc.y, u_pushRectangle.y - u_pushBlend, u_pushRectangle.y, u_pushRectangle.w, u_pushRectangle.w + u_pushBlend);\n\
+    if (u_pushRegionShapes[region].x == PUSH_SHAPE_ELLIPSE)\n\
+    {\n\
+        return calcRadialPush(loc, u_pushEllipses[region], u_pushRegionShapes[region].w, u_pushBlends[region], u_pushBlendProfiles[region]);\n\
+    }\n\
+    if (u_pushRegionShapes[region].x == PUSH_SHAPE_POLYGON)\n\
+    {\n\
+        return pushBlendProfile(u_pushBlendProfiles[region], u_pushBlends[region], 0.0, regionDistance);\n\
+    }\n\
+    return calcPush(loc, u_pushRectangles[region], 0.0, u_pushBlends[region], u_pushBlendProfiles[region]);\n\
+}\n\
+\n\
+#ifdef PUSH_DEPTH_TEXTURE\n\
+// Value of a texel of the depth texture, unpacked into metres when it holds a Float32Array.\n\
+float depthTextureValue(vec2 texel)\n\
+{\n\
+    vec4 colour = texture2D(u_pushDepthTexture, (texel + 0.5) / u_pushDepthTextureParameters.zw);\n\
+    if (u_pushDepthTextureParameters.y > 0.5)\n\
+    {\n\
+        return mix(u_pushDepthTextureRange.x, u_pushDepthTextureRange.y, dot(colour.rg, vec2(65280.0, 255.0)) / 65535.0);\n\
+    }\n\
+    return colour.r;\n\
+}\n\
+#endif\n\
+\n\
+// Depth of the floor of a region in metres, scaled by its depth texture across its rectangle. The texels are\n\
+// interpolated here, as the packed values can't be filtered. Without vertex texture fetch the floor is flat.\n\
+float regionDepth(vec2 loc, int region)\n\
+{\n\
+#ifdef PUSH_DEPTH_TEXTURE\n\
+    if (float(region) != u_pushDepthTextureParameters.x) return u_pushDepths[region];\n\
+\n\
+    vec4 rectangle = u_pushRectangles[region];\n\
+    vec2 uv = clamp((loc - rectangle.xy) / (rectangle.zw - rectangle.xy), 0.0, 1.0);\n\
+    vec2 texel = uv * u_pushDepthTextureParameters.zw - 0.5;\n\
+    vec2 corner = floor(texel);\n\
+    vec2 weight = texel - corner;\n\
+    float south = mix(depthTextureValue(corner), depthTextureValue(corner + vec2(1.0, 0.0)), weight.x);\n\
+    float north = mix(depthTextureValue(corner + vec2(0.0, 1.0)), depthTextureValue(corner + vec2(1.0, 1.0)), weight.x);\n\
+    return u_pushDepths[region] * mix(south, north, weight.y);\n\
+#else\n\
+    return u_pushDepths[region];\n\
+#endif\n\
+}\n\
+\n\
+// Push offset of a region in metres, given the push of its shape. Regions cut into benches drop to the depth\n\
+// of the first bench at their edge, then to the depth of each following bench, and finally to the depth of\n\
+// the region, along rectangles inset further and further. The depths of a flattened region are heights above\n\
+// the ellipsoid, which the terrain at the given height is pushed to.\n\
+float calcRegionOffset(vec2 loc, int region, float push, float height)\n\
+{\n\
+    float baseHeight = u_pushModes[region] == PUSH_MODE_FLATTEN ? height : 0.0;\n\
+    float benchCount = u_pushRegionBenches[region].y;\n\
+    if (benchCount < 0.5) return push * (regionDepth(loc, region) - baseHeight);\n\
+\n\
+    int first = int(u_pushRegionBenches[region].x + 0.5);\n\
+    vec4 rectangle = u_pushRectangles[region];\n\
+    float level = u_pushBenches[first].y;\n\
+    float offset = push * (level - baseHeight);\n\
+    for (int j = 0; j < MAX_PUSH_BENCHES; ++j)\n\
+    {\n\
+        if (float(j) >= benchCount) break;\n\
+\n\
+        vec4 bench = u_pushBenches[first + j];\n\
+        float nextLevel = float(j + 1) < benchCount ? u_pushBenches[first + j + 1].y : regionDepth(loc, region);\n\
+        offset += (nextLevel - level) * calcPush(loc, rectangle, bench.x, bench.z, u_pushBlendProfiles[region]);\n\
+        level = nextLevel;\n\
+    }\n\
+    return offset;\n\
+}\n\
+\n\
+// Push offset of all regions together in metres. Overlapping regions push the terrain to the deepest cut and\n\
+// the highest raise of any of them, so that their ramps merge without a step.\n\
+float combineRegionOffset(float offset, inout float deepest, inout float highest)\n\
+{\n\
+    deepest = min(deepest, offset);\n\
+    highest = max(highest, offset);\n\
+    return deepest + highest;\n\
+}\n\
+\n\
+#ifdef ENABLE_VERTEX_LIGHTING\n\
+float calcPushOffset(vec2 loc, float height)\n\
+{\n\
+    float deepest = 0.0;\n\
+    float highest = 0.0;\n\
+    float offset = 0.0;\n\
+    for (int i = 0; i < MAX_PUSH_REGIONS; ++i)\n\
+    {\n\
+        if (float(i) >= u_pushRegionCount) break;\n\
+\n\
+        float push = calcRegionPush(loc, i, regionShapeDistance(loc, i));\n\
+        if (push > 0.0) offset = combineRegionOffset(calcRegionOffset(loc, i, push, height), deepest, highest);\n\
+    }\n\
+    return offset;\n\
+}\n\
+\n\
+// Tilts the normal of the terrain by the slope of the push around the given location. The relief of the\n\
+// terrain fades out of the normal as a flattened region levels it.\n\
+vec3 pushNormal(vec3 normal, vec2 loc, int region, float push, float radius, float height)\n\
+{\n\
+    if (u_pushModes[region] == PUSH_MODE_FLATTEN)\n\
+    {\n\
+        vec3 up = vec3(cos(loc.y) * cos(loc.x), cos(loc.y) * sin(loc.x), sin(loc.y));\n\
+        normal = normalize(mix(normal, up, push));\n\
+    }\n\
+\n\
+    float blend = u_pushBlends[region];\n\
+    if (u_pushRegionBenches[region].y > 0.5) blend = u_pushBenches[int(u_pushRegionBenches[region].x + 0.5)].z;\n\
+    if (blend <= 0.0) return normal;\n\
+\n\
+    // Central differences over a quarter of the blend, turned into metres of push per metre.\n\
+    float delta = 0.25 * blend;\n\
+    vec2 dx = vec2(delta, 0.0);\n\
+    vec2 dy = vec2(0.0, delta);\n\
+    float eastOffset = calcPushOffset(loc + dx, height) - calcPushOffset(loc - dx, height);\n\
+    float northOffset = calcPushOffset(loc + dy, height) - calcPushOffset(loc - dy, height);\n\
+    float eastSlope = eastOffset / (2.0 * delta * radius * max(cos(loc.y), czm_epsilon3));\n\
+    float northSlope = northOffset / (2.0 * delta * radius);\n\
+\n\
+    vec3 east = vec3(-sin(loc.x), cos(loc.x), 0.0);\n\
+    vec3 north = vec3(-sin(loc.y) * cos(loc.x), -sin(loc.y) * sin(loc.x), cos(loc.y));\n\
+    return normalize(normal - eastSlope * east - northSlope * north);\n\
+}\n\
+#endif\n\
+\n\
+// Distance along the edge of a rectangle, counter-clockwise from its south-west corner, in radians of arc.\n\
+float rectanglePerimeterDistance(vec2 loc, vec4 rectangle)\n\
+{\n\
+    float cosLatitude = arcScale(0.5 * (rectangle.y + rectangle.w)).x;\n\
+    float width = (rectangle.z - rectangle.x) * cosLatitude;\n\
+    float height = rectangle.w - rectangle.y;\n\
+\n\
+    // Distances from the south, east, north and west sides.\n\
+    vec4 d = abs(vec4(loc.y - rectangle.y, (rectangle.z - loc.x) * cosLatitude, rectangle.w - loc.y, (loc.x - rectangle.x) * cosLatitude));\n\
+    float closest = min(min(d.x, d.y), min(d.z, d.w));\n\
+    if (d.x == closest) return (loc.x - rectangle.x) * cosLatitude;\n\
+    if (d.y == closest) return width + loc.y - rectangle.y;\n\
+    if (d.z == closest) return width + height + (rectangle.z - loc.x) * cosLatitude;\n\
+    return 2.0 * width + height + rectangle.w - loc.y;\n\
 }\n\
 \n\
 void main() \n\
 {\n\
-    vec2 actualLoc = mix(u_realTileRectangle.st, u_realTileRectangle.pq, vec2(textureCoordAndEncodedNormals.x, textureCoordAndEncodedNormals.y));\n\
-    v_push = calcPush(actualLoc);\n\
+    float wallFlag = floor(textureCoordAndEncodedNormals.x * 0.5 + 0.25);\n\
+    textureCoordinates = vec2(textureCoordAndEncodedNormals.x - 2.0 * wallFlag, textureCoordAndEncodedNormals.y);\n\
+    vec2 actualLoc = mix(u_realTileRectangle.st, u_realTileRectangle.pq, textureCoordinates);\n\
+\n\
+    // The region the vertex is deepest inside of, or closest to, which the walls on its edge belong to.\n\
+    float regionDistances[MAX_PUSH_REGIONS];\n\
+    int closestRegion = 0;\n\
+    float closestDistance = czm_infinity;\n\
+    for (int i = 0; i < MAX_PUSH_REGIONS; ++i)\n\
+    {\n\
+        if (float(i) >= u_pushRegionCount) break;\n\
+\n\
+        regionDistances[i] = regionShapeDistance(actualLoc, i);\n\
+        if (regionDistances[i] < closestDistance)\n\
+        {\n\
+            closestDistance = regionDistances[i];\n\
+            closestRegion = i;\n\
+        }\n\
+    }\n\
+\n\
+    // Every region pushes the vertex, see combineRegionOffset. The vertex belongs to the region pushing it\n\
+    // furthest, the closest one when none does, and vertices on walls to the region of the wall.\n\
+    v_push = 0.0;\n\
+    int region = closestRegion;\n\
+    float furthest = -1.0;\n\
+    float deepest = 0.0;\n\
+    float highest = 0.0;\n\
+    for (int i = 0; i < MAX_PUSH_REGIONS; ++i)\n\
+    {\n\
+        if (float(i) >= u_pushRegionCount) break;\n\
+\n\
+        float push = calcRegionPush(actualLoc, i, regionDistances[i]);\n\
+        if (i == closestRegion)\n\
+        {\n\
+            // Vertices on the walls of vertical regions are exactly on the edge, the flag decides whether they are pushed.\n\
+            if (wallFlag == WALL_TOP || wallFlag == WALL_FACE_TOP)\n\
+            {\n\
+                push = 0.0;\n\
+            }\n\
+            else if (wallFlag == WALL_BASE || wallFlag == WALL_FACE_BASE)\n\
+            {\n\
+                push = 1.0;\n\
+            }\n\
+        }\n\
+\n\
+        float offset = 0.0;\n\
+        if (push > 0.0)\n\
+        {\n\
+            offset = calcRegionOffset(actualLoc, i, push, position3DAndHeight.w);\n\
+            pushOffset = combineRegionOffset(offset, deepest, highest);\n\
+        }\n\
+        bool belongs = wallFlag == 0.0 ? abs(offset) > furthest || (abs(offset) == furthest && i == closestRegion) : i == closestRegion;\n\
+        if (belongs)\n\
+        {\n\
+            furthest = abs(offset);\n\
+            region = i;\n\
+            v_push = push;\n\
+        }\n\
+    }\n\
+    v_pushRegion = float(region);\n\
+    v_pushWall = (wallFlag == WALL_FACE_TOP || wallFlag == WALL_FACE_BASE) ? 1.0 : 0.0;\n\
 \n\
     vec3 position3DWC = position3DAndHeight.xyz + u_center3D;\n\
+\n\
+    float perimeterDistance = 0.0;\n\
+    if (u_pushRegionShapes[region].x != PUSH_SHAPE_POLYGON && u_pushRegionShapes[region].x != PUSH_SHAPE_ELLIPSE)\n\
+    {\n\
+        perimeterDistance = rectanglePerimeterDistance(actualLoc, u_pushRectangles[region]);\n\
+    }\n\
+    v_wallCoordinates = vec2(perimeterDistance * length(position3DWC), -pushOffset);\n\
+    v_pushedHeight = position3DAndHeight.w + pushOffset;\n\
 \n\
     gl_Position = getPosition(position3DWC);\n\
 \n\
@@ -127,9 +487,18 @@ void main() \n\
     vec2 encodedNormal = textureCoordAndEncodedNormals.zw;\n\
     encodedNormal = encodedNormal / 255.0 * 2.0 - 1.0;\n\
     v_normalMC = czm_octDecode(encodedNormal);\n\
+    if (wallFlag == WALL_FACE_TOP || wallFlag == WALL_FACE_BASE)\n\
+    {\n\
+        // The faces of the walls point into the region, and out of it when the terrain is raised.\n\
+        v_normalMC *= calcRegionOffset(actualLoc, region, 1.0, position3DAndHeight.w) < 0.0 ? 1.0 : -1.0;\n\
+    }\n\
+    else if (wallFlag == 0.0)\n\
+    {\n\
+        v_normalMC = pushNormal(v_normalMC, actualLoc, region, v_push, length(position3DWC), position3DAndHeight.w);\n\
+    }\n\
     v_normalEC = czm_normal3D * v_normalMC;\n\
 #endif\n\
 \n\
-    v_textureCoordinates = textureCoordAndEncodedNormals.xy;\n\
+    v_textureCoordinates = textureCoordinates;\n\
 }\n\
 ";
\ No newline at end of file
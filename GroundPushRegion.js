@@ -0,0 +1,1247 @@
+/**
+ * A single push region of a GroundPush object. Create regions through gp.addRegion rather
+ * than constructing them directly.
+ * @param {GroundPush} groundPush  The GroundPush object the region belongs to.
+ * @param {Object} options  The options include:
+ *
+ * options.rectangle  The rectangle of the region to be pushed.
+ * options.polygon  An array of Cesium.Cartographic or Cesium.Cartesian3 positions outlining the region
+ *                  to be pushed. Used instead of options.rectangle.
+ * options.circle  An Object { center, radius } describing a circular region to be pushed, with the center
+ *                 a Cesium.Cartographic or Cesium.Cartesian3 and the radius in metres. Used instead of
+ *                 options.rectangle.
+ * options.ellipse  An Object { center, semiMajor, semiMinor, rotation } describing an elliptical region to be
+ *                  pushed, with the axes in metres and the rotation of the semi-major axis counter-clockwise
+ *                  from east in radians. Used instead of options.rectangle.
+ * options.depth  The initial depth of the region.
+ * options.mode  GroundPushRegion.MODE_RELATIVE ('relative') to push the terrain by the depth, keeping its relief,
+ *               or GroundPushRegion.MODE_FLATTEN ('flatten') to push it to the depth as a height above the
+ *               ellipsoid, levelling the floor. The depths of the benches and depth texture are heights too when
+ *               flattening. GroundPushRegion.MODE_RAISE ('raise') lifts the terrain by the depth into a block
+ *               with vertical skirts, tinted with the sidesTint, whatever the wallMode of a rectangle region.
+ *               Defaults to 'relative'.
+ * options.baseTint  A Cesium.Cartesian3 Object representing the colour tint of the base of the region.
+ * options.sidesTint  A Cesium.Cartesian3 Object representing the colour tint of the sides of the region.
+ * options.wallMode  GroundPushRegion.WALL_RAMP ('ramp') for sides that blend out over a thin ramp, or
+ *                   GroundPushRegion.WALL_VERTICAL ('vertical') for vertical walls. Vertical walls are only
+ *                   built for rectangle regions. Defaults to 'ramp'.
+ * options.blendWidth  The width of the ramp sides, in options.blendUnits. Defaults to a thousandth of the
+ *                     smaller side of the region's rectangle.
+ * options.blendUnits  GroundPushRegion.METRES ('metres') or GroundPushRegion.RADIANS ('radians'). Defaults
+ *                     to 'metres'.
+ * options.blendProfile  The profile of the ramp sides, 'smoothstep', 'linear', 'cosine' or 'step', or a GLSL
+ *                       expression of x, from 0 at the outer edge of the sides to 1 at the inner edge,
+ *                       giving the push from 0 to 1. Defaults to 'smoothstep'.
+ * options.benches  An array of { depth, inset } Objects cutting a rectangle region into benches, from the top
+ *                  down. The sides drop to the depth of the first bench, and each bench drops to the next one,
+ *                  or to the depth of the region after the last, along a rectangle inset by the bench's inset
+ *                  in metres. Other shapes ignore the benches.
+ * options.depthTexture  A raster covering the region's inner rectangle that the depth is multiplied by, so that
+ *                       the floor takes its shape. Either an Image or Canvas, whose red channel from 0 to 1 is
+ *                       used, or an Object { values, width, height } with a Float32Array of width * height
+ *                       values, row by row from the north-west corner. Only one region of all GroundPush
+ *                       objects can have a depth texture.
+ * options.strata  An array of { topDepth, bottomDepth, color, image, imageSize } Objects colouring the sides and
+ *                 walls of the region like a geological cross-section, by their depth in metres below the
+ *                 original surface. The color is a Cesium.Color, white by default, and the optional image an
+ *                 Image or Canvas tinted by it and repeated every imageSize metres, 100 by default, along and
+ *                 down the walls. An Image still loading is shown once it has loaded.
+ * options.colorRamp  An Object { stops, image, minimumDepth, maximumDepth, depthMode } colouring the floor and
+ *                    sides of the region by their depth. Either stops, an array of { depth, color } gradient
+ *                    stops with Cesium.Color colours, or image, an Image or Canvas ramping from minimumDepth on
+ *                    the left to maximumDepth on the right. The alpha of the colours mixes the ramp with the
+ *                    imagery. depthMode GroundPushRegion.RAMP_RELATIVE ('relative') ramps the push in metres,
+ *                    negative below the original surface like the depth, and GroundPushRegion.RAMP_ABSOLUTE
+ *                    ('absolute') the height of the pushed terrain above the ellipsoid. Defaults to 'relative'.
+ * options.contours  An Object { spacing, color, width } drawing contours of the height of the pushed terrain
+ *                   above the ellipsoid every spacing metres, with a Cesium.Color, white by default, and a width
+ *                   in pixels, 1 by default. Only the pushed terrain has contours.
+ * options.grid  An Object { spacing, color, lineWidth, origin } drawing a grid of lines every spacing metres east
+ *               and north of the origin on the floor of the region, with a Cesium.Color, white by default, and a line
+ *               width in pixels, 1 by default. The origin is a Cesium.Cartographic or Cesium.Cartesian3, and
+ *               defaults to the south-west corner of the inner rectangle.
+ *
+ * Make changes to the depth, tints and colour ramp by accessing the region.depth, region.baseTint,
+ * region.sidesTint and region.colorRamp properties.
+ */
+var GroundPushRegion = function(groundPush, options) {
+    "use strict";
+    var Cesium = groundPush.Cesium;
+
+    if (!Cesium.defined(options) || (!Cesium.defined(options.rectangle) && !Cesium.defined(options.polygon) &&
+            !Cesium.defined(options.circle) && !Cesium.defined(options.ellipse))) {
+        throw 'rectangle, polygon, circle or ellipse option must be defined for a GroundPush region.';
+    }
+
+    this._groundPush = groundPush;
+    this._polygon = undefined;
+    this._ellipse = undefined;
+    this._wallMode = Cesium.defaultValue(options.wallMode, GroundPushRegion.WALL_RAMP);
+    if (this._wallMode !== GroundPushRegion.WALL_RAMP && this._wallMode !== GroundPushRegion.WALL_VERTICAL) {
+        throw 'wallMode of a GroundPush region must be \'' + GroundPushRegion.WALL_RAMP + '\' or \'' + GroundPushRegion.WALL_VERTICAL + '\'.';
+    }
+    this._depthAnimation = undefined;
+    this._mode = Cesium.defaultValue(options.mode, GroundPushRegion.MODE_RELATIVE);
+    GroundPushRegion._validateMode(this._mode);
+    this._blendWidth = options.blendWidth;
+    this._blendUnits = Cesium.defaultValue(options.blendUnits, GroundPushRegion.METRES);
+    if (Cesium.defined(this._blendWidth)) {
+        GroundPushRegion._validateBlendWidth(this._blendWidth, this._blendUnits);
+    }
+    this._blendProfile = Cesium.defaultValue(options.blendProfile, GroundPushRegion.BLEND_SMOOTHSTEP);
+    GroundPushRegion._validateBlendProfile(this._blendProfile);
+    this._benches = [];
+    this._setBenches(Cesium.defaultValue(options.benches, []));
+    this._depthTexture = undefined;
+    this._setDepthTexture(options.depthTexture);
+    this._strata = [];
+    this._setStrata(Cesium.defaultValue(options.strata, []));
+    this._contours = undefined;
+    this._setContours(options.contours);
+    this._grid = undefined;
+    this._setGrid(options.grid);
+
+    this.depth = Cesium.defaultValue(options.depth, 0.0);
+    this.baseTint = Cesium.defaultValue(options.baseTint, new Cesium.Cartesian3(1.0, 1.0, 1.0));
+    this.sidesTint = Cesium.defaultValue(options.sidesTint, new Cesium.Cartesian3(1.0, 1.0, 1.0));
+    this.colorRamp = options.colorRamp;
+
+    if (Cesium.defined(options.polygon)) {
+        this.setPolygon(options.polygon);
+    } else if (Cesium.defined(options.ellipse)) {
+        this.setEllipse(options.ellipse);
+    } else if (Cesium.defined(options.circle)) {
+        this.setCircle(options.circle);
+    } else {
+        this.setInnerRectangle(options.rectangle);
+    }
+};
+
+/**
+ * Shape types, matching the shape type values used by GroundPushGlobeVS.
+ */
+GroundPushRegion.RECTANGLE = 0;
+GroundPushRegion.POLYGON = 1;
+GroundPushRegion.ELLIPSE = 2;
+
+/**
+ * Wall modes. Ramp sides blend out over pushBlend, vertical walls drop straight down from the edge of
+ * the region.
+ */
+GroundPushRegion.WALL_RAMP = 'ramp';
+GroundPushRegion.WALL_VERTICAL = 'vertical';
+
+/**
+ * Push modes. Relative regions push the terrain by their depth, flattened regions push it to their depth as
+ * a height above the ellipsoid, and raised regions lift it by their depth with vertical skirts.
+ */
+GroundPushRegion.MODE_RELATIVE = 'relative';
+GroundPushRegion.MODE_FLATTEN = 'flatten';
+GroundPushRegion.MODE_RAISE = 'raise';
+
+/**
+ * The push mode values used by GroundPushGlobeVS.
+ */
+GroundPushRegion.MODE_VALUES = {
+    relative : 0,
+    flatten : 1,
+    raise : 2
+};
+
+/**
+ * Depth modes of the colour ramp. Relative ramps follow the push, absolute ramps the height above the ellipsoid.
+ */
+GroundPushRegion.RAMP_RELATIVE = 'relative';
+GroundPushRegion.RAMP_ABSOLUTE = 'absolute';
+
+/**
+ * Units of the blend width.
+ */
+GroundPushRegion.METRES = 'metres';
+GroundPushRegion.RADIANS = 'radians';
+
+/**
+ * Named blend profiles of the ramp sides. Any other profile is a GLSL expression.
+ */
+GroundPushRegion.BLEND_SMOOTHSTEP = 'smoothstep';
+GroundPushRegion.BLEND_LINEAR = 'linear';
+GroundPushRegion.BLEND_COSINE = 'cosine';
+GroundPushRegion.BLEND_STEP = 'step';
+
+/**
+ * The blend profile values used by GroundPushGlobeVS for the named profiles. Custom profiles take the values
+ * from BLEND_PROFILE_CUSTOM upwards.
+ */
+GroundPushRegion.BLEND_PROFILE_VALUES = {
+    smoothstep : 0,
+    linear : 1,
+    cosine : 2,
+    step : 3
+};
+GroundPushRegion.BLEND_PROFILE_CUSTOM = 4;
+
+/**
+ * The names the GLSL expression of a custom blend profile may use: x, and the built-in functions and constants
+ * it can be shaped with.
+ */
+GroundPushRegion.BLEND_PROFILE_NAMES = ['x', 'abs', 'sign', 'floor', 'ceil', 'fract', 'mod', 'min', 'max', 'clamp',
+    'mix', 'step', 'smoothstep', 'sqrt', 'inversesqrt', 'pow', 'exp', 'exp2', 'log', 'log2', 'sin', 'cos', 'tan',
+    'asin', 'acos', 'atan', 'radians', 'degrees', 'float', 'czm_pi', 'czm_piOverTwo', 'czm_twoPi'];
+
+/**
+ * The number of straight segments circles and ellipses are sliced into.
+ */
+GroundPushRegion.ELLIPSE_SEGMENTS = 64;
+
+/**
+ * Returns the shape type of the region. Circles are ellipses with equal axes.
+ * @return {Number}  GroundPushRegion.RECTANGLE, GroundPushRegion.POLYGON or GroundPushRegion.ELLIPSE.
+ */
+GroundPushRegion.prototype.getShape = function() {
+    var Cesium = this._groundPush.Cesium;
+    if (Cesium.defined(this._polygon)) {
+        return GroundPushRegion.POLYGON;
+    }
+    if (Cesium.defined(this._ellipse)) {
+        return GroundPushRegion.ELLIPSE;
+    }
+    return GroundPushRegion.RECTANGLE;
+};
+
+/**
+ * Returns the wall mode of the region.
+ * @return {String}  GroundPushRegion.WALL_RAMP or GroundPushRegion.WALL_VERTICAL.
+ */
+GroundPushRegion.prototype.getWallMode = function() {
+    return this._wallMode;
+};
+
+/**
+ * Sets the wall mode of the region. Terrain tiles covering the region are re-meshed.
+ * @param {String} wallMode  GroundPushRegion.WALL_RAMP or GroundPushRegion.WALL_VERTICAL.
+ */
+GroundPushRegion.prototype.setWallMode = function(wallMode) {
+    if (wallMode !== GroundPushRegion.WALL_RAMP && wallMode !== GroundPushRegion.WALL_VERTICAL) {
+        throw 'wallMode of a GroundPush region must be \'' + GroundPushRegion.WALL_RAMP + '\' or \'' + GroundPushRegion.WALL_VERTICAL + '\'.';
+    }
+
+    var oldOuterRectangle = this._outerRectangle;
+    this._wallMode = wallMode;
+    this.setOuterRectangle();
+    this._remesh(oldOuterRectangle);
+};
+
+/**
+ * Returns the push mode of the region.
+ * @return {String}  GroundPushRegion.MODE_RELATIVE, GroundPushRegion.MODE_FLATTEN or GroundPushRegion.MODE_RAISE.
+ */
+GroundPushRegion.prototype.getMode = function() {
+    return this._mode;
+};
+
+/**
+ * Sets the push mode of the region. Terrain tiles covering a rectangle region are re-meshed when it gains or
+ * loses the skirts of a raised region.
+ * @param {String} mode  GroundPushRegion.MODE_RELATIVE, GroundPushRegion.MODE_FLATTEN or GroundPushRegion.MODE_RAISE.
+ */
+GroundPushRegion.prototype.setMode = function(mode) {
+    GroundPushRegion._validateMode(mode);
+
+    var hadVerticalWalls = this._hasVerticalWalls();
+    this._mode = mode;
+    if (this._hasVerticalWalls() !== hadVerticalWalls) {
+        var oldOuterRectangle = this._outerRectangle;
+        this.setOuterRectangle();
+        this._remesh(oldOuterRectangle);
+    }
+};
+
+/**
+ * Animates the depth of the region to a target depth, driven by the preRender event of a scene or by the
+ * ticks of a clock. Starting another animation of the region stops this one, and setting region.depth while
+ * it runs has no lasting effect.
+ * @param {Number} target  The depth to animate to, in metres.
+ * @param {Object} options  The options include:
+ *
+ * options.duration  The duration of the animation in seconds. Defaults to 1.
+ * options.easing  A function of the time from 0 to 1, giving the progress of the depth from 0 to 1, e.g. one
+ *                 of the Cesium.EasingFunction functions. Defaults to linear.
+ * options.scene  The Cesium.Scene whose preRender event drives the animation, in real time.
+ * options.clock  The Cesium.Clock whose ticks drive the animation, in the time of the clock. Used instead of
+ *                options.scene. Only the time the clock runs forward counts, so the animation holds while
+ *                the clock is paused, has a multiplier of 0 or runs backwards, and its promise is pending
+ *                until the clock has run forward for the duration or the animation is stopped.
+ *
+ * @return {Promise}  A promise resolving to the region when it reaches the target depth, or rejected if the
+ *                    animation is stopped first.
+ */
+GroundPushRegion.prototype.animateDepth = function(target, options) {
+    var Cesium = this._groundPush.Cesium;
+    if (typeof target !== 'number') {
+        throw 'target of a GroundPush depth animation must be a number.';
+    }
+    if (!Cesium.defined(options) || (!Cesium.defined(options.scene) && !Cesium.defined(options.clock))) {
+        throw 'scene or clock option must be defined for a GroundPush depth animation.';
+    }
+    var duration = Cesium.defaultValue(options.duration, 1.0);
+    if (typeof duration !== 'number' || !(duration >= 0.0)) {
+        throw 'duration of a GroundPush depth animation must be a number of seconds.';
+    }
+    var easing = Cesium.defaultValue(options.easing, function(time) {
+        return time;
+    });
+
+    this.stopDepthAnimation();
+
+    // The time of a clock only counts while it runs forward, so the animation holds while the clock is
+    // paused or runs backwards, and a jump back in time does not undo it.
+    var clock = options.clock;
+    var lastTime = Cesium.defined(clock) ? Cesium.JulianDate.clone(clock.currentTime) : undefined;
+    var start = Cesium.getTimestamp();
+    var elapsed = 0.0;
+    var startDepth = this.depth;
+    var deferred = Cesium.when.defer();
+    var that = this;
+
+    var tick = function() {
+        if (Cesium.defined(clock)) {
+            elapsed += Math.max(Cesium.JulianDate.secondsDifference(clock.currentTime, lastTime), 0.0);
+            lastTime = Cesium.JulianDate.clone(clock.currentTime, lastTime);
+        } else {
+            elapsed = (Cesium.getTimestamp() - start) / 1000.0;
+        }
+        var time = duration > 0.0 ? Math.min(Math.max(elapsed / duration, 0.0), 1.0) : 1.0;
+        if (time < 1.0) {
+            that.depth = startDepth + (target - startDepth) * easing(time);
+            return;
+        }
+
+        that.depth = target;
+        that._depthAnimation.removeListener();
+        that._depthAnimation = undefined;
+        deferred.resolve(that);
+    };
+
+    var event = Cesium.defined(clock) ? clock.onTick : options.scene.preRender;
+    this._depthAnimation = {
+        removeListener : event.addEventListener(tick),
+        deferred : deferred
+    };
+    return deferred.promise;
+};
+
+/**
+ * Stops the depth animation of the region, leaving the depth where it is. The promise of the animation is
+ * rejected.
+ * @return {Boolean}  true if an animation was stopped.
+ */
+GroundPushRegion.prototype.stopDepthAnimation = function() {
+    var animation = this._depthAnimation;
+    if (!this._groundPush.Cesium.defined(animation)) {
+        return false;
+    }
+    this._depthAnimation = undefined;
+    animation.removeListener();
+    animation.deferred.reject('GroundPush depth animation stopped.');
+    return true;
+};
+
+/**
+ * Returns the width of the ramp sides set for the region.
+ * @return {Number}  The width in the units of getBlendUnits, or undefined if it follows the size of the region.
+ */
+GroundPushRegion.prototype.getBlendWidth = function() {
+    return this._blendWidth;
+};
+
+/**
+ * Returns the units of the width of the ramp sides.
+ * @return {String}  GroundPushRegion.METRES or GroundPushRegion.RADIANS.
+ */
+GroundPushRegion.prototype.getBlendUnits = function() {
+    return this._blendUnits;
+};
+
+/**
+ * Sets the width of the ramp sides. The inner rectangle is kept and the outer rectangle grows or shrinks
+ * around it. Terrain tiles covering the region are re-meshed.
+ * @param {Number} blendWidth  The width, or undefined to follow the size of the region again.
+ * @param {String} blendUnits  GroundPushRegion.METRES or GroundPushRegion.RADIANS. Defaults to metres.
+ */
+GroundPushRegion.prototype.setBlendWidth = function(blendWidth, blendUnits) {
+    var Cesium = this._groundPush.Cesium;
+    blendUnits = Cesium.defaultValue(blendUnits, GroundPushRegion.METRES);
+    if (Cesium.defined(blendWidth)) {
+        GroundPushRegion._validateBlendWidth(blendWidth, blendUnits);
+    }
+
+    var oldOuterRectangle = this._outerRectangle;
+    this._blendWidth = blendWidth;
+    this._blendUnits = blendUnits;
+    this.setOuterRectangle();
+    this._remesh(oldOuterRectangle);
+};
+
+/**
+ * Returns the profile of the ramp sides.
+ * @return {String}  The name of the profile, or its GLSL expression.
+ */
+GroundPushRegion.prototype.getBlendProfile = function() {
+    return this._blendProfile;
+};
+
+/**
+ * Sets the profile of the ramp sides. The terrain does not need re-meshing.
+ * @param {String} blendProfile  'smoothstep', 'linear', 'cosine' or 'step', or a GLSL expression of x, from
+ *                               0 at the outer edge of the sides to 1 at the inner edge, giving the push.
+ */
+GroundPushRegion.prototype.setBlendProfile = function(blendProfile) {
+    GroundPushRegion._validateBlendProfile(blendProfile);
+    this._blendProfile = blendProfile;
+};
+
+/**
+ * Returns the benches of the region.
+ * @return {Object[]}  The { depth, inset } of every bench from the top down.
+ */
+GroundPushRegion.prototype.getBenches = function() {
+    return this._benches;
+};
+
+/**
+ * Sets the benches of the region. Terrain tiles covering the region are re-meshed.
+ * @param {Object[]} benches  The { depth, inset } of every bench from the top down, with the depth and the inset
+ *                            from the previous bench in metres. An empty array removes the benches.
+ */
+GroundPushRegion.prototype.setBenches = function(benches) {
+    this._setBenches(benches);
+    this._remesh(this._outerRectangle);
+};
+
+GroundPushRegion.prototype._setBenches = function(benches) {
+    if (!Array.isArray(benches)) {
+        throw 'benches of a GroundPush region must be an array of { depth, inset } Objects.';
+    }
+    for (var i = 0; i < benches.length; i++) {
+        if (typeof benches[i].depth !== 'number' || typeof benches[i].inset !== 'number' || !(benches[i].inset >= 0.0)) {
+            throw 'Every GroundPush bench needs a depth and an inset of at least zero.';
+        }
+    }
+
+    var benchCount = benches.length;
+    var regions = this._groundPush._getAllRegions();
+    for (i = 0; i < regions.length; i++) {
+        if (regions[i] !== this) {
+            benchCount += regions[i]._benches.length;
+        }
+    }
+    if (benchCount > GroundPush.MAXIMUM_BENCHES) {
+        throw 'The regions of all GroundPush objects can have at most ' + GroundPush.MAXIMUM_BENCHES + ' benches in total.';
+    }
+
+    this._benches = [];
+    for (i = 0; i < benches.length; i++) {
+        this._benches.push({
+            depth : benches[i].depth,
+            inset : benches[i].inset
+        });
+    }
+};
+
+/**
+ * Returns the benches the terrain is cut into, which only rectangle regions have.
+ * @return {Object[]}  The { depth, inset } of every bench, or an empty array.
+ */
+GroundPushRegion.prototype._getActiveBenches = function() {
+    return this.getShape() === GroundPushRegion.RECTANGLE ? this._benches : [];
+};
+
+/**
+ * Returns the width of the ramps between benches in radians of arc. Regions with vertical walls have no ramp
+ * sides, their benches use the default blend width.
+ * @return {Number}  The blend width in radians.
+ */
+GroundPushRegion.prototype._getBenchBlend = function() {
+    if (this.pushBlend > 0.0) {
+        return this.pushBlend;
+    }
+    var width = (this._innerRectangle.east - this._innerRectangle.west) * this._getCosLatitude(this._innerRectangle);
+    var height = this._innerRectangle.north - this._innerRectangle.south;
+    return this._groundPush._pushBlendFraction * ((width < height) ? width : height);
+};
+
+/**
+ * Returns the insets of the edges the benches drop to the next level along, from the inner rectangle
+ * and in radians of arc.
+ * @return {Number[]}  The inset of the edge at the end of every bench.
+ */
+GroundPushRegion.prototype._getBenchInsets = function() {
+    var radius = this._groundPush._ellipsoid.maximumRadius;
+    var benches = this._getActiveBenches();
+    var insets = [];
+    var inset = 0.0;
+    for (var i = 0; i < benches.length; i++) {
+        inset += benches[i].inset / radius;
+        insets.push(inset);
+    }
+    return insets;
+};
+
+/**
+ * Returns the depths the region pushes the terrain to, those of the benches and the depth of the region, or the
+ * deepest and shallowest depths of its depth texture.
+ * @return {Number[]}  The depths in metres.
+ */
+GroundPushRegion.prototype._getDepths = function() {
+    var depths = [];
+    var benches = this._getActiveBenches();
+    for (var i = 0; i < benches.length; i++) {
+        depths.push(benches[i].depth);
+    }
+    if (this._groundPush.Cesium.defined(this._depthTexture)) {
+        depths.push(this.depth * this._depthTexture.minimum, this.depth * this._depthTexture.maximum);
+    } else {
+        depths.push(this.depth);
+    }
+    return depths;
+};
+
+/**
+ * Returns the depth texture of the region.
+ * @return {Image|Canvas|Object}  The depth texture as it was set, or undefined.
+ */
+GroundPushRegion.prototype.getDepthTexture = function() {
+    return this._groundPush.Cesium.defined(this._depthTexture) ? this._depthTexture.texture : undefined;
+};
+
+/**
+ * Sets the depth texture of the region, see the depthTexture option. The terrain does not need re-meshing.
+ * The raster is copied when it is set, so set a Canvas again after drawing into it to update the floor.
+ * @param {Image|Canvas|Object} depthTexture  The depth texture, or undefined to push the floor flat again.
+ */
+GroundPushRegion.prototype.setDepthTexture = function(depthTexture) {
+    this._setDepthTexture(depthTexture);
+};
+
+GroundPushRegion.prototype._setDepthTexture = function(depthTexture) {
+    var Cesium = this._groundPush.Cesium;
+    if (!Cesium.defined(depthTexture)) {
+        this._depthTexture = undefined;
+        return;
+    }
+
+    var values = depthTexture.values;
+    var width = depthTexture.width;
+    var height = depthTexture.height;
+    if (Cesium.defined(values)) {
+        if (!(values instanceof Float32Array) || !(width > 0) || !(height > 0)) {
+            throw new Cesium.DeveloperError('A GroundPush depth texture needs a Float32Array of values and its width and height.');
+        }
+        if (values.length !== width * height) {
+            throw new Cesium.DeveloperError('A GroundPush depth texture of ' + width + ' by ' + height + ' needs ' + (width * height) +
+                ' values, not ' + values.length + '.');
+        }
+    }
+
+    var regions = this._groundPush._getAllRegions();
+    for (var i = 0; i < regions.length; i++) {
+        if (regions[i] !== this && Cesium.defined(regions[i]._depthTexture)) {
+            throw new Cesium.DeveloperError('Only one region of all GroundPush objects can have a depth texture.');
+        }
+    }
+
+    if (!Cesium.defined(values)) {
+        // An Image or Canvas, its red channel is sampled as it is. An Image still loading is uploaded
+        // once it has loaded, the floor is pushed flat until then. The pixels are copied into a texture
+        // once, so a Canvas drawn into again has to be set again.
+        var imageTexture = this._depthTexture = {
+            texture : depthTexture,
+            source : depthTexture,
+            ready : depthTexture.complete !== false,
+            packed : false,
+            width : depthTexture.width,
+            height : depthTexture.height,
+            minimum : 0.0,
+            maximum : 1.0
+        };
+        if (!imageTexture.ready) {
+            depthTexture.addEventListener('load', function() {
+                imageTexture.width = depthTexture.width;
+                imageTexture.height = depthTexture.height;
+                imageTexture.ready = true;
+            });
+        }
+        return;
+    }
+
+    var minimum = Number.POSITIVE_INFINITY;
+    var maximum = Number.NEGATIVE_INFINITY;
+    for (i = 0; i < values.length; i++) {
+        minimum = Math.min(minimum, values[i]);
+        maximum = Math.max(maximum, values[i]);
+    }
+
+    // The values are packed into 16 bits of the red and green channels, across their range.
+    var range = maximum > minimum ? maximum - minimum : 1.0;
+    var pixels = new Uint8Array(values.length * 4);
+    for (i = 0; i < values.length; i++) {
+        var packed = Math.round((values[i] - minimum) / range * 65535.0);
+        pixels[i * 4] = Math.floor(packed / 256);
+        pixels[i * 4 + 1] = packed % 256;
+        pixels[i * 4 + 3] = 255;
+    }
+
+    this._depthTexture = {
+        texture : depthTexture,
+        source : {
+            arrayBufferView : pixels,
+            width : width,
+            height : height
+        },
+        ready : true,
+        packed : true,
+        width : width,
+        height : height,
+        minimum : minimum,
+        maximum : maximum
+    };
+};
+
+/**
+ * Returns the strata of the region.
+ * @return {Object[]}  The { topDepth, bottomDepth, color, image, imageSize } of every stratum.
+ */
+GroundPushRegion.prototype.getStrata = function() {
+    return this._strata;
+};
+
+/**
+ * Sets the strata of the region, see the strata option. The terrain does not need re-meshing.
+ * @param {Object[]} strata  The { topDepth, bottomDepth, color, image, imageSize } of every stratum, with the depths
+ *                           in metres below the original surface. An empty array removes the strata.
+ */
+GroundPushRegion.prototype.setStrata = function(strata) {
+    this._setStrata(strata);
+};
+
+GroundPushRegion.prototype._setStrata = function(strata) {
+    var Cesium = this._groundPush.Cesium;
+    if (!Array.isArray(strata)) {
+        throw 'strata of a GroundPush region must be an array of { topDepth, bottomDepth, color, image } Objects.';
+    }
+    for (var i = 0; i < strata.length; i++) {
+        if (typeof strata[i].topDepth !== 'number' || typeof strata[i].bottomDepth !== 'number' ||
+                !(strata[i].topDepth < strata[i].bottomDepth)) {
+            throw 'Every GroundPush stratum needs a topDepth above its bottomDepth.';
+        }
+        if (Cesium.defined(strata[i].imageSize) && !(strata[i].imageSize > 0.0)) {
+            throw 'imageSize of a GroundPush stratum must be greater than zero.';
+        }
+    }
+
+    var strataCount = strata.length;
+    var regions = this._groundPush._getAllRegions();
+    for (i = 0; i < regions.length; i++) {
+        if (regions[i] !== this) {
+            strataCount += regions[i]._strata.length;
+        }
+    }
+    if (strataCount > GroundPush.MAXIMUM_STRATA) {
+        throw 'The regions of all GroundPush objects can have at most ' + GroundPush.MAXIMUM_STRATA + ' strata in total.';
+    }
+
+    this._strata = [];
+    for (i = 0; i < strata.length; i++) {
+        var image = strata[i].image;
+        var stratum = {
+            topDepth : strata[i].topDepth,
+            bottomDepth : strata[i].bottomDepth,
+            color : Cesium.Color.clone(Cesium.defaultValue(strata[i].color, Cesium.Color.WHITE)),
+            image : image,
+            imageReady : Cesium.defined(image) && image.complete !== false,
+            imageSize : Cesium.defaultValue(strata[i].imageSize, 100.0)
+        };
+        this._strata.push(stratum);
+        if (Cesium.defined(image) && !stratum.imageReady) {
+            // Like the depth texture, an Image still loading is drawn into the strata texture once it has
+            // loaded, the stratum shows its colour alone until then.
+            this._addImageLoadListener(stratum);
+        }
+    }
+};
+
+GroundPushRegion.prototype._addImageLoadListener = function(stratum) {
+    stratum.image.addEventListener('load', function() {
+        stratum.imageReady = true;
+    });
+};
+
+/**
+ * Returns the contours of the region.
+ * @return {Object}  The { spacing, color, width } of the contours, or undefined.
+ */
+GroundPushRegion.prototype.getContours = function() {
+    return this._contours;
+};
+
+/**
+ * Sets the contours of the region, see the contours option. The terrain does not need re-meshing.
+ * @param {Object} contours  The { spacing, color, width } of the contours, or undefined to remove them.
+ */
+GroundPushRegion.prototype.setContours = function(contours) {
+    this._setContours(contours);
+};
+
+GroundPushRegion.prototype._setContours = function(contours) {
+    var Cesium = this._groundPush.Cesium;
+    if (!Cesium.defined(contours)) {
+        this._contours = undefined;
+        return;
+    }
+    if (typeof contours.spacing !== 'number' || !(contours.spacing > 0.0)) {
+        throw 'spacing of GroundPush contours must be a number of metres greater than zero.';
+    }
+    if (Cesium.defined(contours.width) && !(contours.width > 0.0)) {
+        throw 'width of GroundPush contours must be a number of pixels greater than zero.';
+    }
+
+    this._contours = {
+        spacing : contours.spacing,
+        color : Cesium.Color.clone(Cesium.defaultValue(contours.color, Cesium.Color.WHITE)),
+        width : Cesium.defaultValue(contours.width, 1.0)
+    };
+};
+
+/**
+ * Returns the grid drawn on the floor of the region.
+ * @return {Object}  The { spacing, color, lineWidth, origin } of the grid, or undefined.
+ */
+GroundPushRegion.prototype.getGrid = function() {
+    return this._grid;
+};
+
+/**
+ * Sets the grid drawn on the floor of the region, see the grid option. The terrain does not need re-meshing.
+ * @param {Object} grid  The { spacing, color, lineWidth, origin } of the grid, or undefined to remove it.
+ */
+GroundPushRegion.prototype.setGrid = function(grid) {
+    this._setGrid(grid);
+};
+
+GroundPushRegion.prototype._setGrid = function(grid) {
+    var Cesium = this._groundPush.Cesium;
+    if (!Cesium.defined(grid)) {
+        this._grid = undefined;
+        return;
+    }
+    if (typeof grid.spacing !== 'number' || !(grid.spacing > 0.0)) {
+        throw 'spacing of a GroundPush grid must be a number of metres greater than zero.';
+    }
+    if (Cesium.defined(grid.lineWidth) && !(grid.lineWidth > 0.0)) {
+        throw 'lineWidth of a GroundPush grid must be a number of pixels greater than zero.';
+    }
+
+    var origin = grid.origin;
+    if (origin instanceof Cesium.Cartesian3) {
+        origin = this._groundPush._ellipsoid.cartesianToCartographic(origin);
+    }
+
+    this._grid = {
+        spacing : grid.spacing,
+        color : Cesium.Color.clone(Cesium.defaultValue(grid.color, Cesium.Color.WHITE)),
+        lineWidth : Cesium.defaultValue(grid.lineWidth, 1.0),
+        origin : Cesium.defined(origin) ? new Cesium.Cartographic(origin.longitude, origin.latitude, 0.0) : undefined
+    };
+};
+
+/**
+ * Returns the colour ramp of the region in the form the shaders use, read every frame as the colorRamp property
+ * can change at any time.
+ * @return {Object}  The { stops, image, minimumDepth, maximumDepth, absolute } of the ramp, with the stops sorted
+ *                   by depth, or undefined if the region has no usable ramp.
+ */
+GroundPushRegion.prototype._getColorRamp = function() {
+    var Cesium = this._groundPush.Cesium;
+    var colorRamp = this.colorRamp;
+    if (!Cesium.defined(colorRamp)) {
+        return undefined;
+    }
+
+    var absolute = colorRamp.depthMode === GroundPushRegion.RAMP_ABSOLUTE;
+    if (Cesium.defined(colorRamp.image)) {
+        if (typeof colorRamp.minimumDepth !== 'number' || typeof colorRamp.maximumDepth !== 'number' ||
+                colorRamp.minimumDepth === colorRamp.maximumDepth) {
+            return undefined;
+        }
+        return {
+            stops : [],
+            image : colorRamp.image,
+            minimumDepth : colorRamp.minimumDepth,
+            maximumDepth : colorRamp.maximumDepth,
+            absolute : absolute
+        };
+    }
+
+    if (!Array.isArray(colorRamp.stops) || colorRamp.stops.length === 0) {
+        return undefined;
+    }
+    var stops = colorRamp.stops.slice().sort(function(a, b) {
+        return a.depth - b.depth;
+    });
+    var minimumDepth = stops[0].depth;
+    var maximumDepth = stops[stops.length - 1].depth;
+    return {
+        stops : stops,
+        image : undefined,
+        minimumDepth : minimumDepth,
+        maximumDepth : maximumDepth > minimumDepth ? maximumDepth : minimumDepth + 1.0,
+        absolute : absolute
+    };
+};
+
+/**
+ * Returns the width of the ramp sides in radians of arc, for an inner or outer rectangle of the given size.
+ * @param {Rectangle} rectangle  The rectangle the other one is grown or shrunk from.
+ * @return {Number}  The blend width in radians.
+ */
+GroundPushRegion.prototype._getPushBlend = function(rectangle) {
+    if (this._hasVerticalWalls()) {
+        return 0.0;
+    }
+    if (this._groundPush.Cesium.defined(this._blendWidth)) {
+        return this._blendUnits === GroundPushRegion.RADIANS ? this._blendWidth : this._blendWidth / this._groundPush._ellipsoid.maximumRadius;
+    }
+    var width = (rectangle.east - rectangle.west) * this._getCosLatitude(rectangle);
+    var height = rectangle.north - rectangle.south;
+    return this._groundPush._pushBlendFraction * ((width < height) ? width : height);
+};
+
+/**
+ * Returns the cosine of the latitude at the center of a rectangle, kept away from 0 at the poles. The vertex
+ * shader scales longitudes by it in arcScale to measure distances in radians of arc, and the rectangles and
+ * slice lines of a region are laid out with it to match.
+ * @param {Rectangle} rectangle  The rectangle.
+ * @return {Number}  The cosine of the latitude.
+ */
+GroundPushRegion.prototype._getCosLatitude = function(rectangle) {
+    var Cesium = this._groundPush.Cesium;
+    return Math.max(Math.cos(0.5 * (rectangle.south + rectangle.north)), Cesium.Math.EPSILON3);
+};
+
+/**
+ * Returns true if the region has vertical walls, which only rectangle regions can have. Raised regions always
+ * have them as skirts.
+ * @return {Boolean}  true if the terrain is sliced for vertical walls along the rectangle.
+ */
+GroundPushRegion.prototype._hasVerticalWalls = function() {
+    return (this._wallMode === GroundPushRegion.WALL_VERTICAL || this._mode === GroundPushRegion.MODE_RAISE) &&
+        this.getShape() === GroundPushRegion.RECTANGLE;
+};
+
+/**
+ * Returns the polygon outlining the region.
+ * @return {Cartographic[]}  The polygon positions, or undefined if the region is a rectangle.
+ */
+GroundPushRegion.prototype.getPolygon = function() {
+    return this._polygon;
+};
+
+/**
+ * Sets a polygon outlining the region. The inner rectangle becomes the polygon's bounding rectangle.
+ * @param {Cartographic[]|Cartesian3[]} positions  The positions of the polygon.
+ */
+GroundPushRegion.prototype.setPolygon = function(positions) {
+    var Cesium = this._groundPush.Cesium;
+    var ellipsoid = this._groundPush._ellipsoid;
+
+    var polygon = [];
+    for (var i = 0; i < positions.length; i++) {
+        var position = positions[i];
+        if (position instanceof Cesium.Cartesian3) {
+            position = ellipsoid.cartesianToCartographic(position);
+        }
+        polygon.push(new Cesium.Cartographic(position.longitude, position.latitude, 0.0));
+    }
+
+    // The polygon is implicitly closed.
+    if (polygon.length > 1 && Cesium.Cartographic.equals(polygon[0], polygon[polygon.length - 1])) {
+        polygon.pop();
+    }
+    if (polygon.length < 3) {
+        throw 'A GroundPush polygon needs at least 3 positions.';
+    }
+
+    var vertexCount = polygon.length;
+    var regions = this._groundPush._getAllRegions();
+    for (i = 0; i < regions.length; i++) {
+        if (regions[i] !== this && Cesium.defined(regions[i]._polygon)) {
+            vertexCount += regions[i]._polygon.length;
+        }
+    }
+    if (vertexCount > GroundPush.MAXIMUM_POLYGON_VERTICES) {
+        throw 'The polygons of all GroundPush objects can have at most ' + GroundPush.MAXIMUM_POLYGON_VERTICES + ' positions in total.';
+    }
+
+    var oldOuterRectangle = this._outerRectangle;
+
+    this._polygon = polygon;
+    this._ellipse = undefined;
+    this._innerRectangle = Cesium.Rectangle.fromCartographicArray(polygon);
+    this.setOuterRectangle();
+
+    this._remesh(oldOuterRectangle);
+};
+
+/**
+ * Returns the ellipse outlining the region.
+ * @return {Object}  The { center, semiMajor, semiMinor, rotation } of the ellipse, or undefined if the
+ *                   region is not a circle or ellipse.
+ */
+GroundPushRegion.prototype.getEllipse = function() {
+    return this._ellipse;
+};
+
+/**
+ * Sets an ellipse outlining the region. The inner rectangle becomes the ellipse's bounding rectangle.
+ * @param {Object} ellipse  The ellipse, with the properties:
+ *
+ * ellipse.center  A Cesium.Cartographic or Cesium.Cartesian3 at the center of the ellipse.
+ * ellipse.semiMajor  The semi-major axis in metres.
+ * ellipse.semiMinor  The semi-minor axis in metres.
+ * ellipse.rotation  The rotation of the semi-major axis counter-clockwise from east in radians. Defaults to 0.
+ */
+GroundPushRegion.prototype.setEllipse = function(ellipse) {
+    var Cesium = this._groundPush.Cesium;
+
+    if (!Cesium.defined(ellipse.center) || !Cesium.defined(ellipse.semiMajor) || !Cesium.defined(ellipse.semiMinor)) {
+        throw 'center, semiMajor and semiMinor must be defined for a GroundPush ellipse.';
+    }
+    if (ellipse.semiMajor <= 0.0 || ellipse.semiMinor <= 0.0) {
+        throw 'The axes of a GroundPush ellipse must be greater than zero.';
+    }
+
+    var oldOuterRectangle = this._outerRectangle;
+
+    var center = ellipse.center;
+    if (center instanceof Cesium.Cartesian3) {
+        center = this._groundPush._ellipsoid.cartesianToCartographic(center);
+    }
+
+    this._ellipse = {
+        center : new Cesium.Cartographic(center.longitude, center.latitude, 0.0),
+        semiMajor : ellipse.semiMajor,
+        semiMinor : ellipse.semiMinor,
+        rotation : Cesium.defaultValue(ellipse.rotation, 0.0)
+    };
+    this._polygon = undefined;
+
+    // The bounding rectangle of the rotated ellipse.
+    var radii = this._getEllipseRadii();
+    var cosRotation = Math.cos(this._ellipse.rotation);
+    var sinRotation = Math.sin(this._ellipse.rotation);
+    var halfWidth = Math.sqrt(radii.x * radii.x * cosRotation * cosRotation + radii.y * radii.y * sinRotation * sinRotation) / Math.cos(center.latitude);
+    var halfHeight = Math.sqrt(radii.x * radii.x * sinRotation * sinRotation + radii.y * radii.y * cosRotation * cosRotation);
+
+    this._innerRectangle = new Cesium.Rectangle(center.longitude - halfWidth, center.latitude - halfHeight,
+        center.longitude + halfWidth, center.latitude + halfHeight);
+    this.setOuterRectangle();
+
+    this._remesh(oldOuterRectangle);
+};
+
+/**
+ * Sets a circle outlining the region. The inner rectangle becomes the circle's bounding rectangle.
+ * @param {Object} circle  The circle, with the properties:
+ *
+ * circle.center  A Cesium.Cartographic or Cesium.Cartesian3 at the center of the circle.
+ * circle.radius  The radius in metres.
+ */
+GroundPushRegion.prototype.setCircle = function(circle) {
+    this.setEllipse({
+        center : circle.center,
+        semiMajor : circle.radius,
+        semiMinor : circle.radius
+    });
+};
+
+/**
+ * Returns the semi-major and semi-minor axes of the ellipse as angles of arc on the ellipsoid.
+ * @return {Cartesian2}  The axes in radians.
+ */
+GroundPushRegion.prototype._getEllipseRadii = function() {
+    var radius = this._groundPush._ellipsoid.maximumRadius;
+    return new this._groundPush.Cesium.Cartesian2(this._ellipse.semiMajor / radius, this._ellipse.semiMinor / radius);
+};
+
+/**
+ * Returns the actual inner rectangle of the region.
+ * @return {Rectangle}  The inner rectangle.
+ */
+GroundPushRegion.prototype.getInnerRectangle = function() {
+    return this._innerRectangle;
+};
+
+/**
+ * Sets the inner rectangle of the region. Recalculates the outer rectangle automatically.
+ * A polygon, circle or ellipse region becomes a rectangle region. Terrain tiles covering the old or new
+ * region are re-meshed.
+ * @param {Rectangle} newRectangle  The new inner rectangle of the region.
+ */
+GroundPushRegion.prototype.setInnerRectangle = function(newRectangle) {
+    if (this._groundPush.Cesium.defined(newRectangle)) {
+        var oldOuterRectangle = this._outerRectangle;
+        this._polygon = undefined;
+        this._ellipse = undefined;
+        this._innerRectangle = newRectangle;
+        this.setOuterRectangle();
+        this._remesh(oldOuterRectangle);
+    } else {
+        var outerRectangle = this._outerRectangle;
+        var pushBlend = this.pushBlend = this._getPushBlend(outerRectangle);
+        var longitudePushBlend = pushBlend / this._getCosLatitude(outerRectangle);
+
+        var innerRectangle = this._innerRectangle = outerRectangle.clone();
+        innerRectangle.west += longitudePushBlend;
+        innerRectangle.south += pushBlend;
+        innerRectangle.east -= longitudePushBlend;
+        innerRectangle.north -= pushBlend;
+    }
+};
+
+/**
+ * Returns the actual outer rectangle of the region.
+ * @return {Rectangle}  The outer rectangle.
+ */
+GroundPushRegion.prototype.getOuterRectangle = function() {
+    return this._outerRectangle;
+};
+
+/**
+ * Sets the outer rectangle of the region. Recalculates the inner rectangle automatically.
+ * A polygon, circle or ellipse region becomes a rectangle region. Terrain tiles covering the old or new
+ * region are re-meshed.
+ * @param {Rectangle} newRectangle  The new outer rectangle of the region.
+ */
+GroundPushRegion.prototype.setOuterRectangle = function(newRectangle) {
+    if (this._groundPush.Cesium.defined(newRectangle)) {
+        var oldOuterRectangle = this._outerRectangle;
+        this._polygon = undefined;
+        this._ellipse = undefined;
+        this._outerRectangle = newRectangle;
+        this.setInnerRectangle();
+        this._remesh(oldOuterRectangle);
+    } else {
+        var innerRectangle = this._innerRectangle;
+        var pushBlend = this.pushBlend = this._getPushBlend(innerRectangle);
+        var longitudePushBlend = pushBlend / this._getCosLatitude(innerRectangle);
+
+        var outerRectangle = this._outerRectangle = innerRectangle.clone();
+        outerRectangle.west -= longitudePushBlend;
+        outerRectangle.south -= pushBlend;
+        outerRectangle.east += longitudePushBlend;
+        outerRectangle.north += pushBlend;
+    }
+};
+
+/**
+ * Re-meshes the terrain tiles affected by a change of the region's shape, once the region has been added.
+ * @param {Rectangle} oldOuterRectangle  The outer rectangle before the change.
+ */
+GroundPushRegion.prototype._remesh = function(oldOuterRectangle) {
+    if (this._groundPush._regions.indexOf(this) >= 0) {
+        this._groundPush._remeshTiles([oldOuterRectangle, this._outerRectangle]);
+    }
+};
+
+/**
+ * Returns the lines the terrain tiles need to be sliced along for this region, in the form
+ * line.x * longitude + line.y * latitude + line.z = 0. Each line comes with the rectangle
+ * within which it matters, so tiles outside of it can skip the line.
+ * @return {Object[]}  A list of { line : Cartesian3, rectangle : Rectangle } Objects.
+ */
+GroundPushRegion.prototype._getSliceLines = function() {
+    var Cesium = this._groundPush.Cesium;
+    var innerRectangle = this._innerRectangle;
+    var outerRectangle = this._outerRectangle;
+    var sliceLines = [];
+
+    if (!Cesium.defined(this._polygon) && !Cesium.defined(this._ellipse)) {
+        // The 8 axis aligned lines that make up the rectangle, both inner and outer. Vertical walls
+        // only need the 4 inner ones, their outer rectangle is the same.
+        var rectangleLines = [
+            new Cesium.Cartesian3(1.0, 0.0, -innerRectangle.west),
+            new Cesium.Cartesian3(1.0, 0.0, -innerRectangle.east),
+            new Cesium.Cartesian3(0.0, 1.0, -innerRectangle.north),
+            new Cesium.Cartesian3(0.0, 1.0, -innerRectangle.south)
+        ];
+        if (!this._hasVerticalWalls()) {
+            rectangleLines.push(
+                new Cesium.Cartesian3(1.0, 0.0, -outerRectangle.west),
+                new Cesium.Cartesian3(1.0, 0.0, -outerRectangle.east),
+                new Cesium.Cartesian3(0.0, 1.0, -outerRectangle.north),
+                new Cesium.Cartesian3(0.0, 1.0, -outerRectangle.south));
+        }
+        // Every bench drops to the next level along an inset rectangle, blending out from it.
+        var benchInsets = this._getBenchInsets();
+        var benchBlend = this._getBenchBlend();
+        var cosLatitude = this._getCosLatitude(innerRectangle);
+        for (var b = 0; b < benchInsets.length; b++) {
+            var offsets = [benchInsets[b], benchInsets[b] - benchBlend];
+            for (var o = 0; o < offsets.length; o++) {
+                rectangleLines.push(
+                    new Cesium.Cartesian3(1.0, 0.0, -(innerRectangle.west + offsets[o] / cosLatitude)),
+                    new Cesium.Cartesian3(1.0, 0.0, -(innerRectangle.east - offsets[o] / cosLatitude)),
+                    new Cesium.Cartesian3(0.0, 1.0, -(innerRectangle.north - offsets[o])),
+                    new Cesium.Cartesian3(0.0, 1.0, -(innerRectangle.south + offsets[o])));
+            }
+        }
+        for (var i = 0; i < rectangleLines.length; i++) {
+            sliceLines.push({
+                line : rectangleLines[i],
+                rectangle : outerRectangle
+            });
+        }
+        return sliceLines;
+    }
+
+    var pushBlend = this.pushBlend;
+
+    if (Cesium.defined(this._polygon)) {
+        // Every polygon edge, and the same edge moved outwards by the blend width, measured like the vertex
+        // shader measures it.
+        addEdgeLines(this._polygon, [0.0, pushBlend], this._getCosLatitude(innerRectangle));
+        return sliceLines;
+    }
+
+    // Curves are sliced along the edges of an inscribed ring, one at the ellipse and one
+    // at the ellipse grown by the blend width.
+    var ellipse = this._ellipse;
+    var radii = this._getEllipseRadii();
+    addEdgeLines(ellipseRing(radii.x, radii.y), [0.0], 1.0);
+    addEdgeLines(ellipseRing(radii.x + pushBlend, radii.y + pushBlend), [0.0], 1.0);
+    return sliceLines;
+
+    // Adds the lines through every edge of a closed outline, moved outwards by each of the offsets in radians
+    // of arc, with the longitudes scaled by cosLatitude.
+    function addEdgeLines(positions, offsets, cosLatitude) {
+        var orientation = signedArea(positions) > 0.0 ? 1.0 : -1.0;
+
+        for (var j = 0; j < positions.length; j++) {
+            var start = positions[j];
+            var end = positions[(j + 1) % positions.length];
+
+            var dx = (end.longitude - start.longitude) * cosLatitude;
+            var dy = end.latitude - start.latitude;
+            var length = Math.sqrt(dx * dx + dy * dy);
+            if (length === 0.0) {
+                continue;
+            }
+
+            // Outward unit normal of the edge, in scaled longitudes.
+            var nx = orientation * dy / length;
+            var ny = -orientation * dx / length;
+            var distance = -(nx * start.longitude * cosLatitude + ny * start.latitude);
+
+            var longitudeBlend = pushBlend / cosLatitude;
+            var edgeRectangle = new Cesium.Rectangle(
+                Math.min(start.longitude, end.longitude) - longitudeBlend,
+                Math.min(start.latitude, end.latitude) - pushBlend,
+                Math.max(start.longitude, end.longitude) + longitudeBlend,
+                Math.max(start.latitude, end.latitude) + pushBlend);
+
+            for (var k = 0; k < offsets.length; k++) {
+                sliceLines.push({
+                    line : new Cesium.Cartesian3(nx * cosLatitude, ny, distance - offsets[k]),
+                    rectangle : edgeRectangle
+                });
+            }
+        }
+    }
+
+    // The positions of a ring of ELLIPSE_SEGMENTS points on the region's ellipse with the given axes.
+    function ellipseRing(semiMajor, semiMinor) {
+        var ring = [];
+        var center = ellipse.center;
+        var cosLatitude = Math.cos(center.latitude);
+        var cosRotation = Math.cos(ellipse.rotation);
+        var sinRotation = Math.sin(ellipse.rotation);
+        for (var k = 0; k < GroundPushRegion.ELLIPSE_SEGMENTS; k++) {
+            var angle = Cesium.Math.TWO_PI * k / GroundPushRegion.ELLIPSE_SEGMENTS;
+            var x = semiMajor * Math.cos(angle);
+            var y = semiMinor * Math.sin(angle);
+            ring.push(new Cesium.Cartographic(
+                center.longitude + (x * cosRotation - y * sinRotation) / cosLatitude,
+                center.latitude + x * sinRotation + y * cosRotation));
+        }
+        return ring;
+    }
+
+    // Twice the signed area of an outline, positive for counter-clockwise outlines.
+    function signedArea(positions) {
+        var area = 0.0;
+        for (var k = 0; k < positions.length; k++) {
+            var p0 = positions[k];
+            var p1 = positions[(k + 1) % positions.length];
+            area += p0.longitude * p1.latitude - p1.longitude * p0.latitude;
+        }
+        return area;
+    }
+};
+
+// Throws if a blend width or its units are not valid.
+GroundPushRegion._validateBlendWidth = function(blendWidth, blendUnits) {
+    if (typeof blendWidth !== 'number' || !(blendWidth > 0.0)) {
+        throw 'blendWidth of a GroundPush region must be a number greater than zero.';
+    }
+    if (blendUnits !== GroundPushRegion.METRES && blendUnits !== GroundPushRegion.RADIANS) {
+        throw 'blendUnits of a GroundPush region must be \'' + GroundPushRegion.METRES + '\' or \'' + GroundPushRegion.RADIANS + '\'.';
+    }
+};
+
+// Throws if a blend profile is neither a named profile nor a GLSL expression of x. The expression is pasted
+// into the vertex shader shared by every region, so it may only hold floats, operators, parentheses and
+// BLEND_PROFILE_NAMES.
+GroundPushRegion._validateBlendProfile = function(blendProfile) {
+    if (typeof blendProfile !== 'string' || blendProfile.trim().length === 0) {
+        throw 'blendProfile of a GroundPush region must be \'smoothstep\', \'linear\', \'cosine\', \'step\' or a GLSL expression.';
+    }
+    if (GroundPushRegion.BLEND_PROFILE_VALUES.hasOwnProperty(blendProfile)) {
+        return;
+    }
+
+    // A float, an integer, a name, or an operator.
+    var tokenPattern = /\s*(?:(\d+\.\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|\d+[eE][+-]?\d+)|(\d+)|([A-Za-z_]\w*)|([<>=!]=|&&|\|\||\^\^|[-+*\/<>!?:,()]))/g;
+    var expression = blendProfile.trim();
+    var parentheses = 0;
+    var index = 0;
+    while (index < expression.length) {
+        tokenPattern.lastIndex = index;
+        var token = tokenPattern.exec(expression);
+        if (token === null || token.index !== index) {
+            throw 'blendProfile of a GroundPush region can not contain \'' + expression.substring(index).trim().charAt(0) + '\'.';
+        }
+        if (token[2] !== undefined) {
+            throw 'Numbers in the blendProfile of a GroundPush region must be floats, such as ' + token[2] + '.0.';
+        }
+        if (token[3] !== undefined && GroundPushRegion.BLEND_PROFILE_NAMES.indexOf(token[3]) < 0) {
+            throw 'blendProfile of a GroundPush region can not use \'' + token[3] + '\', only x and GLSL math functions.';
+        }
+        if (token[4] === '(') {
+            parentheses++;
+        } else if (token[4] === ')' && --parentheses < 0) {
+            break;
+        }
+        index = tokenPattern.lastIndex;
+    }
+    if (parentheses !== 0) {
+        throw 'The parentheses of the blendProfile of a GroundPush region do not match.';
+    }
+};
+
+// Throws if a push mode is not valid.
+GroundPushRegion._validateMode = function(mode) {
+    if (!GroundPushRegion.MODE_VALUES.hasOwnProperty(mode)) {
+        throw 'mode of a GroundPush region must be \'' + GroundPushRegion.MODE_RELATIVE + '\', \'' + GroundPushRegion.MODE_FLATTEN +
+            '\' or \'' + GroundPushRegion.MODE_RAISE + '\'.';
+    }
+};
\ No newline at end of file
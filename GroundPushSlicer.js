@@ -0,0 +1,701 @@
+/**
+ * Slices terrain meshes along the edges of the push regions, adding the vertices the vertex shader
+ * needs to push the terrain with straight sides. It does not depend on Cesium, so that the slicing
+ * can run in GroundPushWorker as well as on the main thread.
+ */
+var GroundPushSlicer = function() {
+    "use strict";
+
+    var quantizedStride = 3;
+    var EPSILON6 = 0.000001;
+    var EPSILON10 = 0.0000000001;
+    var SIXTY_FOUR_KILOBYTES = 64 * 1024;
+
+    var xIndex = 0;
+    var yIndex = 1;
+    var zIndex = 2;
+    var hIndex = 3;
+    var uIndex = 4;
+    var vIndex = 5;
+    var normalIndex = 6;
+
+    // The vertices being sliced are kept as u, v, height and the x, y, z of their normal.
+    var sliceVertexStride = 6;
+
+    // Vertices at the top and the base of the walls of vertical regions are flagged by adding twice the
+    // flag to their u texture coordinate, GroundPushGlobeVS takes it off again. The rings at the top and
+    // the base are shared with the surrounding terrain and the floor, while the faces of the walls have
+    // vertices of their own so that they can have horizontal normals.
+    var WALL_TOP = 1;
+    var WALL_BASE = 2;
+    var WALL_FACE_TOP = 3;
+    var WALL_FACE_BASE = 4;
+
+    // Values of the edge hash table, besides the index of the vertex inserted on the edge.
+    var EMPTY_EDGE = -1;
+    var UNSPLIT_EDGE = -2;
+
+    // Scratch storage reused from tile to tile, grown as needed. The triangles are read from one index
+    // buffer and written to the other by each slice plane.
+    var vertexScratch = new Float64Array(1024 * sliceVertexStride);
+    var indicesScratch = new Uint32Array(2048 * quantizedStride);
+    var newIndicesScratch = new Uint32Array(2048 * quantizedStride);
+    var wallFlagsScratch = new Uint8Array(1024);
+    var wallBaseScratch = new Int32Array(1024);
+    var wallFaceScratch = new Int32Array(1024);
+
+    // Open addressing hash table from an edge, given by the indices of its two vertices, to the vertex
+    // the current slice plane inserted on it. Both triangles sharing an edge get the same vertex.
+    var edgeHashMask = 0;
+    var edgeHashStarts = new Int32Array(0);
+    var edgeHashEnds = new Int32Array(0);
+    var edgeHashValues = new Int32Array(0);
+
+    var cartesian3Scratch = {
+        x : 0.0,
+        y : 0.0,
+        z : 0.0
+    };
+
+    /**
+     * Inserts vertices to a given tile along the slice lines of every region that overlaps with
+     * the tileRectangle.
+     *
+     * @param  {Object} parameters The input parameters are:
+     * parameters.sliceLines  the lines to slice the tile along, each with a line Cartesian3 where
+     *                        x * longitude + y * latitude + z = 0, and the rectangle to slice within.
+     * parameters.vertices  the vertex buffer of the tile being modified.
+     * parameters.indices  the index buffer of the tile being modified.
+     * parameters.tileRectangle  the rectangle of the tile being modified.
+     * parameters.ellipsoidRadii  the radii of the central body ellipsoid, as an Object { x, y, z }.
+     * parameters.center  the center of the tile.
+     * parameters.elementIndexUint  whether the context supports Uint32 indices.
+     * parameters.walls  the rectangles of the regions with vertical walls whose edges touch the tile.
+     * parameters.hasVertexNormals  whether the vertices have octahedral encoded normals after the texture
+     *                              coordinates.
+     *
+     * @return {Object}  The new vertex and index buffers. The indices are Uint32 when there are too many
+     * vertices for Uint16 indices, in which case uint32Indices is true. If the context does not support
+     * them the mesh is also split into subMeshes, each with its own vertex and Uint16 index buffers.
+     */
+    function insertPushVertices(parameters) {
+        var tileRectangle = parameters.tileRectangle;
+        var tileWidth = tileRectangle.east - tileRectangle.west;
+        var tileHeight = tileRectangle.north - tileRectangle.south;
+
+        var originalVertices = parameters.vertices;
+        var originalIndices = parameters.indices;
+        var center = parameters.center;
+        var hasVertexNormals = parameters.hasVertexNormals === true;
+        var vertexStride = hasVertexNormals ? 8 : 6;
+
+        // Keep the u, v, height and normal of all the original vertices...
+        var vertexCount = originalVertices.length / vertexStride;
+        var vertices = vertexScratch = ensureFloat64Capacity(vertexScratch, vertexCount * sliceVertexStride);
+        var i, bufferIndex;
+        for (i = 0, bufferIndex = 0; i < vertexCount; i++, bufferIndex += vertexStride) {
+            vertices[i * sliceVertexStride] = originalVertices[bufferIndex + uIndex];
+            vertices[i * sliceVertexStride + 1] = originalVertices[bufferIndex + vIndex];
+            vertices[i * sliceVertexStride + 2] = originalVertices[bufferIndex + hIndex];
+            if (hasVertexNormals) {
+                octDecode(originalVertices[bufferIndex + normalIndex], originalVertices[bufferIndex + normalIndex + 1], cartesian3Scratch);
+            } else {
+                cartesian3Scratch.x = cartesian3Scratch.y = cartesian3Scratch.z = 0.0;
+            }
+            vertices[i * sliceVertexStride + 3] = cartesian3Scratch.x;
+            vertices[i * sliceVertexStride + 4] = cartesian3Scratch.y;
+            vertices[i * sliceVertexStride + 5] = cartesian3Scratch.z;
+        }
+
+        var indexCount = originalIndices.length;
+        var indices = indicesScratch = ensureUint32Capacity(indicesScratch, indexCount);
+        indices.set(originalIndices);
+
+        // The slice plane being applied, in the u, v space of the tile, and the u, v bounds it slices within.
+        var planeU, planeV, planeDistance;
+        var boundsWest, boundsSouth, boundsEast, boundsNorth;
+
+        var newIndices;
+        var newIndexCount;
+
+        // Vertices inserted by an earlier plane through the same point, such as the corners of a region, are
+        // taken to be on the plane rather than a rounding error away from it.
+        var distanceToPlane = function(vertex) {
+            var distance = planeU * vertices[vertex * sliceVertexStride] + planeV * vertices[vertex * sliceVertexStride + 1] + planeDistance;
+            return Math.abs(distance) < EPSILON10 ? 0.0 : distance;
+        };
+
+        // Returns the vertex the plane inserts on the edge between two vertices on opposite sides of it,
+        // or -1 if the intersection is out of bounds. The vertex is interpolated from the lower index
+        // to the higher one, so both triangles sharing the edge make the same decision.
+        var splitEdge = function(vertex0, vertex1) {
+            var start = Math.min(vertex0, vertex1);
+            var end = Math.max(vertex0, vertex1);
+
+            var slot = findEdgeSlot(start, end);
+            if (edgeHashStarts[slot] !== EMPTY_EDGE) {
+                return edgeHashValues[slot] === UNSPLIT_EDGE ? -1 : edgeHashValues[slot];
+            }
+            edgeHashStarts[slot] = start;
+            edgeHashEnds[slot] = end;
+
+            var startDistance = distanceToPlane(start);
+            var t = startDistance / (startDistance - distanceToPlane(end));
+            var startIndex = start * sliceVertexStride;
+            var endIndex = end * sliceVertexStride;
+            var u = lerp(vertices[startIndex], vertices[endIndex], t);
+            var v = lerp(vertices[startIndex + 1], vertices[endIndex + 1], t);
+
+            if (u < boundsWest - EPSILON6 || u > boundsEast + EPSILON6 || v < boundsSouth - EPSILON6 || v > boundsNorth + EPSILON6) {
+                edgeHashValues[slot] = UNSPLIT_EDGE;
+                return -1;
+            }
+
+            var newIndex = vertexCount * sliceVertexStride;
+            vertices[newIndex] = u;
+            vertices[newIndex + 1] = v;
+            for (var c = 2; c < sliceVertexStride; c++) {
+                vertices[newIndex + c] = lerp(vertices[startIndex + c], vertices[endIndex + c], t);
+            }
+            edgeHashValues[slot] = vertexCount;
+            return vertexCount++;
+        };
+
+        var addTriangle = function(i0, i1, i2) {
+            newIndices[newIndexCount++] = i0;
+            newIndices[newIndexCount++] = i1;
+            newIndices[newIndexCount++] = i2;
+        };
+
+        // Adds a vertex at a point strictly inside a triangle, splitting the triangle in 3. Points on an edge
+        // are added by the slice lines through them.
+        var insertPoint = function(u, v) {
+            for (var t = 0; t < indexCount; t += quantizedStride) {
+                var a = indices[t] * sliceVertexStride;
+                var b = indices[t + 1] * sliceVertexStride;
+                var c = indices[t + 2] * sliceVertexStride;
+                var area = (vertices[b] - vertices[a]) * (vertices[c + 1] - vertices[a + 1]) - (vertices[c] - vertices[a]) * (vertices[b + 1] - vertices[a + 1]);
+                if (area <= 0.0) {
+                    continue;
+                }
+                var weightA = ((vertices[b] - u) * (vertices[c + 1] - v) - (vertices[c] - u) * (vertices[b + 1] - v)) / area;
+                var weightB = ((vertices[c] - u) * (vertices[a + 1] - v) - (vertices[a] - u) * (vertices[c + 1] - v)) / area;
+                var weightC = 1.0 - weightA - weightB;
+                if (weightA <= EPSILON6 || weightB <= EPSILON6 || weightC <= EPSILON6) {
+                    continue;
+                }
+
+                var newIndex = vertexCount * sliceVertexStride;
+                vertices[newIndex] = u;
+                vertices[newIndex + 1] = v;
+                for (var k = 2; k < sliceVertexStride; k++) {
+                    vertices[newIndex + k] = weightA * vertices[a + k] + weightB * vertices[b + k] + weightC * vertices[c + k];
+                }
+
+                indices[indexCount++] = indices[t + 1];
+                indices[indexCount++] = indices[t + 2];
+                indices[indexCount++] = vertexCount;
+                indices[indexCount++] = indices[t + 2];
+                indices[indexCount++] = indices[t];
+                indices[indexCount++] = vertexCount;
+                indices[t + 2] = vertexCount++;
+                return;
+            }
+        };
+
+        // The slice lines of a wall end at its corners, which have to be vertices for the wall to close.
+        var walls = defined(parameters.walls) ? parameters.walls : [];
+        vertices = vertexScratch = ensureFloat64Capacity(vertexScratch, (vertexCount + 4 * walls.length) * sliceVertexStride);
+        indices = indicesScratch = ensureUint32Capacity(indicesScratch, indexCount + 24 * walls.length);
+        for (var w = 0; w < walls.length; w++) {
+            var cornerWest = (walls[w].west - tileRectangle.west) / tileWidth;
+            var cornerSouth = (walls[w].south - tileRectangle.south) / tileHeight;
+            var cornerEast = (walls[w].east - tileRectangle.west) / tileWidth;
+            var cornerNorth = (walls[w].north - tileRectangle.south) / tileHeight;
+            insertPoint(cornerWest, cornerSouth);
+            insertPoint(cornerEast, cornerSouth);
+            insertPoint(cornerEast, cornerNorth);
+            insertPoint(cornerWest, cornerNorth);
+        }
+
+        for (var l = 0; l < parameters.sliceLines.length; l++) {
+            // Convert the slice line into a plane in the u, v space of the tile.
+            var line = parameters.sliceLines[l].line;
+            var lineRectangle = parameters.sliceLines[l].rectangle;
+            planeU = line.x * tileWidth;
+            planeV = line.y * tileHeight;
+            var magnitude = Math.sqrt(planeU * planeU + planeV * planeV);
+            if (magnitude === 0.0) {
+                continue;
+            }
+            planeU /= magnitude;
+            planeV /= magnitude;
+            planeDistance = (line.x * tileRectangle.west + line.y * tileRectangle.south + line.z) / magnitude;
+
+            boundsWest = (lineRectangle.west - tileRectangle.west) / tileWidth;
+            boundsSouth = (lineRectangle.south - tileRectangle.south) / tileHeight;
+            boundsEast = (lineRectangle.east - tileRectangle.west) / tileWidth;
+            boundsNorth = (lineRectangle.north - tileRectangle.south) / tileHeight;
+
+            // Each triangle becomes at most 3 triangles and adds at most 2 vertices.
+            var triangleCount = indexCount / quantizedStride;
+            vertices = vertexScratch = ensureFloat64Capacity(vertexScratch, (vertexCount + 2 * triangleCount) * sliceVertexStride);
+            newIndices = newIndicesScratch = ensureUint32Capacity(newIndicesScratch, 3 * indexCount);
+            newIndexCount = 0;
+            resetEdgeHash(indexCount);
+
+            // Iterate through all the triangles.
+            for (i = 0; i < indexCount; i += quantizedStride) {
+                var i0 = indices[i];
+                var i1 = indices[i + 1];
+                var i2 = indices[i + 2];
+
+                var d0 = distanceToPlane(i0);
+                var d1 = distanceToPlane(i1);
+                var d2 = distanceToPlane(i2);
+
+                if (!(d0 * d1 < 0.0 || d1 * d2 < 0.0 || d2 * d0 < 0.0)) {
+                    // No edge crosses the plane, keep the triangle as it is.
+                    addTriangle(i0, i1, i2);
+                    continue;
+                }
+
+                // Rotate the triangle, keeping its winding order, so that a is the vertex on the plane if
+                // there is one, or the vertex alone on its side of the plane otherwise.
+                var a, b, c;
+                if (d0 === 0.0 || (d1 !== 0.0 && d2 !== 0.0 && d1 * d2 > 0.0)) {
+                    a = i0; b = i1; c = i2;
+                } else if (d1 === 0.0 || (d2 !== 0.0 && d0 * d2 > 0.0)) {
+                    a = i1; b = i2; c = i0;
+                } else {
+                    a = i2; b = i0; c = i1;
+                }
+
+                if (distanceToPlane(a) === 0.0) {
+                    // The plane passes through a and splits the opposite edge in two.
+                    var u = splitEdge(b, c);
+                    if (u < 0) {
+                        addTriangle(i0, i1, i2);
+                    } else {
+                        addTriangle(a, b, u);
+                        addTriangle(a, u, c);
+                    }
+                    continue;
+                }
+
+                // Both edges from a cross the plane, split those within bounds. When only one of them is,
+                // the triangle is split in two through the opposite vertex.
+                var u1 = splitEdge(a, b);
+                var u2 = splitEdge(c, a);
+                if (u1 >= 0 && u2 >= 0) {
+                    addTriangle(a, u1, u2);
+                    addTriangle(u1, b, c);
+                    addTriangle(u1, c, u2);
+                } else if (u1 >= 0) {
+                    addTriangle(a, u1, c);
+                    addTriangle(u1, b, c);
+                } else if (u2 >= 0) {
+                    addTriangle(a, b, u2);
+                    addTriangle(u2, b, c);
+                } else {
+                    addTriangle(i0, i1, i2);
+                }
+            }
+
+            // The triangles written by this plane are read by the next.
+            newIndicesScratch = indices;
+            indices = indicesScratch = newIndices;
+            indexCount = newIndexCount;
+        }
+
+        // The rectangle of the wall being built, in the u, v space of the tile.
+        var wallWest, wallSouth, wallEast, wallNorth;
+
+        var wallFlags = wallFlagsScratch = ensureUint8Capacity(wallFlagsScratch, vertexCount);
+        var wallBases;
+        var wallFaces;
+        for (i = 0; i < vertexCount; i++) {
+            wallFlags[i] = 0;
+        }
+
+        // Returns a bit for each side of the wall rectangle the vertex lies on, 1 west, 2 south, 4 east and 8 north.
+        var wallSides = function(vertex) {
+            var u = vertices[vertex * sliceVertexStride];
+            var v = vertices[vertex * sliceVertexStride + 1];
+            if (u < wallWest - EPSILON6 || u > wallEast + EPSILON6 || v < wallSouth - EPSILON6 || v > wallNorth + EPSILON6) {
+                return 0;
+            }
+            return (Math.abs(u - wallWest) < EPSILON6 ? 1 : 0) | (Math.abs(v - wallSouth) < EPSILON6 ? 2 : 0) |
+                (Math.abs(u - wallEast) < EPSILON6 ? 4 : 0) | (Math.abs(v - wallNorth) < EPSILON6 ? 8 : 0);
+        };
+
+        var copyVertex = function(vertex, flag) {
+            for (var c = 0; c < sliceVertexStride; c++) {
+                vertices[vertexCount * sliceVertexStride + c] = vertices[vertex * sliceVertexStride + c];
+            }
+            wallFlags[vertexCount] = flag;
+            return vertexCount++;
+        };
+
+        // Returns the copy of a vertex at the base of the wall, shared by all the triangles inside the rectangle.
+        var wallBase = function(vertex) {
+            if (wallBases[vertex] < 0) {
+                wallBases[vertex] = copyVertex(vertex, WALL_BASE);
+            }
+            return wallBases[vertex];
+        };
+
+        // Returns the copy of a vertex at the top or the base of the wall along side 0 west, 1 south, 2 east
+        // or 3 north of the rectangle. Its normal is horizontal, facing the inside of the rectangle.
+        var wallFace = function(vertex, side, flag) {
+            var face = (vertex * 4 + side) * 2 + (flag === WALL_FACE_BASE ? 1 : 0);
+            if (wallFaces[face] < 0) {
+                var copy = wallFaces[face] = copyVertex(vertex, flag);
+                var longitude = lerp(tileRectangle.west, tileRectangle.east, vertices[copy * sliceVertexStride]);
+                var latitude = lerp(tileRectangle.south, tileRectangle.north, vertices[copy * sliceVertexStride + 1]);
+                // The west and east sides face east and west, the south and north sides face north and south.
+                var sign = side < 2 ? 1.0 : -1.0;
+                if (side % 2 === 0) {
+                    vertices[copy * sliceVertexStride + 3] = -sign * Math.sin(longitude);
+                    vertices[copy * sliceVertexStride + 4] = sign * Math.cos(longitude);
+                    vertices[copy * sliceVertexStride + 5] = 0.0;
+                } else {
+                    vertices[copy * sliceVertexStride + 3] = -sign * Math.sin(latitude) * Math.cos(longitude);
+                    vertices[copy * sliceVertexStride + 4] = -sign * Math.sin(latitude) * Math.sin(longitude);
+                    vertices[copy * sliceVertexStride + 5] = sign * Math.cos(latitude);
+                }
+            }
+            return wallFaces[face];
+        };
+
+        // Adds the quad between the edge from a to b at the top of the wall and the same edge at its base,
+        // given the bits of the sides of the rectangle the edge lies on.
+        var addWall = function(a, b, sides) {
+            var side = (sides & 1) !== 0 ? 0 : (sides & 2) !== 0 ? 1 : (sides & 4) !== 0 ? 2 : 3;
+            var topA = wallFace(a, side, WALL_FACE_TOP);
+            var topB = wallFace(b, side, WALL_FACE_TOP);
+            var baseA = wallFace(a, side, WALL_FACE_BASE);
+            var baseB = wallFace(b, side, WALL_FACE_BASE);
+            indices[indexCount++] = topA;
+            indices[indexCount++] = topB;
+            indices[indexCount++] = baseB;
+            indices[indexCount++] = topA;
+            indices[indexCount++] = baseB;
+            indices[indexCount++] = baseA;
+        };
+
+        for (w = 0; w < walls.length; w++) {
+            wallWest = (walls[w].west - tileRectangle.west) / tileWidth;
+            wallSouth = (walls[w].south - tileRectangle.south) / tileHeight;
+            wallEast = (walls[w].east - tileRectangle.west) / tileWidth;
+            wallNorth = (walls[w].north - tileRectangle.south) / tileHeight;
+
+            // Every vertex can get a copy at the base of the wall and copies at the top and the base of the
+            // faces of the two sides at a corner, and every triangle inside the rectangle can add a quad under
+            // each of its edges.
+            var topVertexCount = vertexCount;
+            var triangleIndexCount = indexCount;
+            vertices = vertexScratch = ensureFloat64Capacity(vertexScratch, 6 * vertexCount * sliceVertexStride);
+            wallFlags = wallFlagsScratch = ensureUint8Capacity(wallFlagsScratch, 6 * vertexCount);
+            wallBases = wallBaseScratch = ensureInt32Capacity(wallBaseScratch, vertexCount);
+            wallFaces = wallFaceScratch = ensureInt32Capacity(wallFaceScratch, 8 * vertexCount);
+            indices = indicesScratch = ensureUint32Capacity(indicesScratch, 7 * indexCount);
+            for (i = 0; i < topVertexCount; i++) {
+                wallBases[i] = -1;
+            }
+            for (i = 0; i < 8 * topVertexCount; i++) {
+                wallFaces[i] = -1;
+            }
+
+            for (i = 0; i < triangleIndexCount; i += quantizedStride) {
+                var top0 = indices[i];
+                var top1 = indices[i + 1];
+                var top2 = indices[i + 2];
+
+                var centroidU = (vertices[top0 * sliceVertexStride] + vertices[top1 * sliceVertexStride] + vertices[top2 * sliceVertexStride]) / 3.0;
+                var centroidV = (vertices[top0 * sliceVertexStride + 1] + vertices[top1 * sliceVertexStride + 1] + vertices[top2 * sliceVertexStride + 1]) / 3.0;
+                if (centroidU <= wallWest + EPSILON6 || centroidU >= wallEast - EPSILON6 || centroidV <= wallSouth + EPSILON6 || centroidV >= wallNorth - EPSILON6) {
+                    continue;
+                }
+
+                // The triangle is inside the rectangle. Stitch a quad under each of its edges along a side of
+                // the rectangle, keeping the winding order of the terrain, and move it to the base of the wall.
+                var sides0 = wallSides(top0);
+                var sides1 = wallSides(top1);
+                var sides2 = wallSides(top2);
+                if ((sides0 & sides1) !== 0) {
+                    addWall(top0, top1, sides0 & sides1);
+                }
+                if ((sides1 & sides2) !== 0) {
+                    addWall(top1, top2, sides1 & sides2);
+                }
+                if ((sides2 & sides0) !== 0) {
+                    addWall(top2, top0, sides2 & sides0);
+                }
+                if (sides0 !== 0) {
+                    indices[i] = wallBase(top0);
+                }
+                if (sides1 !== 0) {
+                    indices[i + 1] = wallBase(top1);
+                }
+                if (sides2 !== 0) {
+                    indices[i + 2] = wallBase(top2);
+                }
+            }
+
+            // The vertices left on the edge of the rectangle are at the top of the wall.
+            for (i = 0; i < topVertexCount; i++) {
+                if (wallFlags[i] === 0 && wallSides(i) !== 0) {
+                    wallFlags[i] = WALL_TOP;
+                }
+            }
+        }
+
+        var vertexBuffer = new Float32Array(vertexCount * vertexStride);
+        var radii = parameters.ellipsoidRadii;
+        var radiiSquared = {
+            x : radii.x * radii.x,
+            y : radii.y * radii.y,
+            z : radii.z * radii.z
+        };
+        var west = tileRectangle.west;
+        var south = tileRectangle.south;
+        var east = tileRectangle.east;
+        var north = tileRectangle.north;
+
+        // Make the full vertex buffer with new vertices included.
+        for (i = 0, bufferIndex = 0; i < vertexCount; ++i, bufferIndex += vertexStride) {
+            var u = vertices[i * sliceVertexStride];
+            var v = vertices[i * sliceVertexStride + 1];
+            var height = vertices[i * sliceVertexStride + 2];
+
+            cartographicToCartesian(lerp(west, east, u), lerp(south, north, v), height, radiiSquared, cartesian3Scratch);
+
+            vertexBuffer[bufferIndex + xIndex] = cartesian3Scratch.x - center.x;
+            vertexBuffer[bufferIndex + yIndex] = cartesian3Scratch.y - center.y;
+            vertexBuffer[bufferIndex + zIndex] = cartesian3Scratch.z - center.z;
+            vertexBuffer[bufferIndex + hIndex] = height;
+            vertexBuffer[bufferIndex + uIndex] = u + 2.0 * wallFlags[i];
+            vertexBuffer[bufferIndex + vIndex] = v;
+            if (hasVertexNormals) {
+                octEncode(vertices[i * sliceVertexStride + 3], vertices[i * sliceVertexStride + 4], vertices[i * sliceVertexStride + 5], cartesian3Scratch);
+                vertexBuffer[bufferIndex + normalIndex] = cartesian3Scratch.x;
+                vertexBuffer[bufferIndex + normalIndex + 1] = cartesian3Scratch.y;
+            }
+        }
+
+        var uint32Indices = vertexCount >= SIXTY_FOUR_KILOBYTES;
+        var finalIndices = indices.subarray(0, indexCount);
+        var indicesTypedArray = uint32Indices ? new Uint32Array(finalIndices) : new Uint16Array(finalIndices);
+
+        return {
+            vertices : vertexBuffer.buffer,
+            indices : indicesTypedArray.buffer,
+            uint32Indices : uint32Indices,
+            subMeshes : (uint32Indices && !parameters.elementIndexUint) ? splitMesh(vertexBuffer, finalIndices, vertexStride) : undefined
+        };
+    }
+
+    /**
+     * Splits a mesh into sub-meshes of less than 64K vertices each, so that they can be drawn with
+     * Uint16 indices. Vertices shared by triangles of different sub-meshes are copied into each.
+     * @param  {Float32Array} vertices  The vertex buffer of the mesh.
+     * @param  {Uint32Array} indices  The indices of the mesh.
+     * @param  {Number} vertexStride  The number of floats per vertex.
+     * @return {Object[]}  The vertex and index buffers of the sub-meshes.
+     */
+    function splitMesh(vertices, indices, vertexStride) {
+        var subMeshes = [];
+
+        // Maps the vertices of the mesh to those of the current sub-mesh, -1 where not used by it.
+        var subMeshVertexMap = new Int32Array(vertices.length / vertexStride);
+        for (var i = 0; i < subMeshVertexMap.length; i++) {
+            subMeshVertexMap[i] = -1;
+        }
+        var subMeshVertexIndices = new Uint32Array(SIXTY_FOUR_KILOBYTES);
+        var subMeshVertexCount = 0;
+        var subMeshIndices = new Uint16Array(indices.length);
+        var subMeshIndexCount = 0;
+
+        var finishSubMesh = function() {
+            var subMeshVertices = new Float32Array(subMeshVertexCount * vertexStride);
+            for (var v = 0; v < subMeshVertexCount; v++) {
+                var bufferIndex = subMeshVertexIndices[v] * vertexStride;
+                subMeshVertices.set(vertices.subarray(bufferIndex, bufferIndex + vertexStride), v * vertexStride);
+                subMeshVertexMap[subMeshVertexIndices[v]] = -1;
+            }
+            subMeshes.push({
+                vertices : subMeshVertices.buffer,
+                indices : new Uint16Array(subMeshIndices.subarray(0, subMeshIndexCount)).buffer
+            });
+            subMeshVertexCount = 0;
+            subMeshIndexCount = 0;
+        };
+
+        for (i = 0; i < indices.length; i += quantizedStride) {
+            if (subMeshVertexCount + quantizedStride > SIXTY_FOUR_KILOBYTES) {
+                finishSubMesh();
+            }
+            for (var j = i; j < i + quantizedStride; j++) {
+                var index = indices[j];
+                if (subMeshVertexMap[index] < 0) {
+                    subMeshVertexMap[index] = subMeshVertexCount;
+                    subMeshVertexIndices[subMeshVertexCount++] = index;
+                }
+                subMeshIndices[subMeshIndexCount++] = subMeshVertexMap[index];
+            }
+        }
+        finishSubMesh();
+
+        return subMeshes;
+    }
+
+    /**
+     * Empties the edge hash table, growing it to hold at least the given number of edges.
+     */
+    function resetEdgeHash(edgeCount) {
+        var size = edgeHashStarts.length;
+        if (size < 2 * edgeCount) {
+            size = 1024;
+            while (size < 2 * edgeCount) {
+                size *= 2;
+            }
+            edgeHashStarts = new Int32Array(size);
+            edgeHashEnds = new Int32Array(size);
+            edgeHashValues = new Int32Array(size);
+            edgeHashMask = size - 1;
+        }
+        for (var i = 0; i < size; i++) {
+            edgeHashStarts[i] = EMPTY_EDGE;
+        }
+    }
+
+    /**
+     * Returns the slot of the edge hash table holding the given edge, or the empty slot it belongs in.
+     */
+    function findEdgeSlot(start, end) {
+        var slot = ((start * 73856093) ^ (end * 19349663)) & edgeHashMask;
+        while (edgeHashStarts[slot] !== EMPTY_EDGE && (edgeHashStarts[slot] !== start || edgeHashEnds[slot] !== end)) {
+            slot = (slot + 1) & edgeHashMask;
+        }
+        return slot;
+    }
+
+    function ensureFloat64Capacity(array, length) {
+        if (array.length >= length) {
+            return array;
+        }
+        var grown = new Float64Array(Math.max(length, 2 * array.length));
+        grown.set(array);
+        return grown;
+    }
+
+    function ensureUint8Capacity(array, length) {
+        if (array.length >= length) {
+            return array;
+        }
+        var grown = new Uint8Array(Math.max(length, 2 * array.length));
+        grown.set(array);
+        return grown;
+    }
+
+    function ensureInt32Capacity(array, length) {
+        if (array.length >= length) {
+            return array;
+        }
+        var grown = new Int32Array(Math.max(length, 2 * array.length));
+        grown.set(array);
+        return grown;
+    }
+
+    function ensureUint32Capacity(array, length) {
+        if (array.length >= length) {
+            return array;
+        }
+        var grown = new Uint32Array(Math.max(length, 2 * array.length));
+        grown.set(array);
+        return grown;
+    }
+
+    function defined(value) {
+        return value !== undefined && value !== null;
+    }
+
+    /**
+     * Linear interpolation helper function.
+     */
+    function lerp(p, q, time) {
+        return ((1.0 - time) * p) + (time * q);
+    }
+
+    /**
+     * Decodes a normal from its octahedral encoding, with both values from 0 to 255.
+     *
+     * Taken from czm_octDecode.
+     */
+    function octDecode(x, y, result) {
+        result.x = x / 255.0 * 2.0 - 1.0;
+        result.y = y / 255.0 * 2.0 - 1.0;
+        result.z = 1.0 - (Math.abs(result.x) + Math.abs(result.y));
+        if (result.z < 0.0) {
+            var oldX = result.x;
+            result.x = (1.0 - Math.abs(result.y)) * signNotZero(oldX);
+            result.y = (1.0 - Math.abs(oldX)) * signNotZero(result.y);
+        }
+        var magnitude = Math.sqrt(result.x * result.x + result.y * result.y + result.z * result.z);
+        result.x /= magnitude;
+        result.y /= magnitude;
+        result.z /= magnitude;
+        return result;
+    }
+
+    /**
+     * Encodes a normal, which need not be of unit length, so that octDecode decodes it. The two values
+     * are returned in the x and y of the result.
+     */
+    function octEncode(x, y, z, result) {
+        var sum = Math.abs(x) + Math.abs(y) + Math.abs(z);
+        if (sum === 0.0) {
+            z = sum = 1.0;
+        }
+        var encodedX = x / sum;
+        var encodedY = y / sum;
+        if (z < 0.0) {
+            var oldX = encodedX;
+            encodedX = (1.0 - Math.abs(encodedY)) * signNotZero(oldX);
+            encodedY = (1.0 - Math.abs(oldX)) * signNotZero(encodedY);
+        }
+        result.x = Math.round((encodedX * 0.5 + 0.5) * 255.0);
+        result.y = Math.round((encodedY * 0.5 + 0.5) * 255.0);
+        return result;
+    }
+
+    function signNotZero(value) {
+        return value < 0.0 ? -1.0 : 1.0;
+    }
+
+    /**
+     * Converts a longitude, latitude and height to a Cartesian position on the ellipsoid with the
+     * given squared radii.
+     *
+     * Taken from Cesium.Ellipsoid.cartographicToCartesian.
+     */
+    function cartographicToCartesian(longitude, latitude, height, radiiSquared, result) {
+        var cosLatitude = Math.cos(latitude);
+        var nx = cosLatitude * Math.cos(longitude);
+        var ny = cosLatitude * Math.sin(longitude);
+        var nz = Math.sin(latitude);
+
+        var kx = radiiSquared.x * nx;
+        var ky = radiiSquared.y * ny;
+        var kz = radiiSquared.z * nz;
+        var gamma = Math.sqrt(nx * kx + ny * ky + nz * kz);
+
+        result.x = kx / gamma + nx * height;
+        result.y = ky / gamma + ny * height;
+        result.z = kz / gamma + nz * height;
+        return result;
+    }
+
+    this.insertPushVertices = insertPushVertices;
+};
@@ -0,0 +1,35 @@
+/**
+ * Web Worker slicing terrain meshes for GroundPush off the main thread, see GroundPushSlicer.
+ * Tasks are posted the way Cesium's TaskProcessor posts them, as { id, parameters }, and answered
+ * with { id, result, error }. The vertex and index buffers, and those of any sub-meshes, are
+ * transferred both ways.
+ */
+importScripts('GroundPushSlicer.js');
+
+var groundPushSlicer = new GroundPushSlicer();
+
+self.onmessage = function(event) {
+    "use strict";
+    var data = event.data;
+    var responseMessage = {
+        id : data.id,
+        result : undefined,
+        error : undefined
+    };
+    var transferableObjects = [];
+
+    try {
+        responseMessage.result = groundPushSlicer.insertPushVertices(data.parameters);
+        var result = responseMessage.result;
+        transferableObjects.push(result.vertices, result.indices);
+        if (result.subMeshes !== undefined) {
+            for (var i = 0; i < result.subMeshes.length; i++) {
+                transferableObjects.push(result.subMeshes[i].vertices, result.subMeshes[i].indices);
+            }
+        }
+    } catch (e) {
+        responseMessage.error = (e instanceof Error) ? e.message : e;
+    }
+
+    self.postMessage(responseMessage, transferableObjects);
+};
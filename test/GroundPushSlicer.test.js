@@ -0,0 +1,250 @@
+/**
+ * Tests of GroundPushSlicer.insertPushVertices, run with node from the root of the repository:
+ *
+ *     node test/GroundPushSlicer.test.js
+ *
+ * GroundPushSlicer.js is written for the browser and the worker, where it declares a global, so it is run
+ * in a vm context here. The tests check that slicing keeps the area of the tile, leaves no open edges and
+ * splits meshes of more than 64K vertices correctly.
+ */
+"use strict";
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var context = vm.createContext({});
+var source = fs.readFileSync(path.join(__dirname, '..', 'GroundPushSlicer.js'), 'utf8');
+vm.runInContext(source, context, { filename : 'GroundPushSlicer.js' });
+var slicer = new context.GroundPushSlicer();
+
+var WGS84_RADII = { x : 6378137.0, y : 6378137.0, z : 6356752.3142451793 };
+var TILE_RECTANGLE = degreesToRectangle(150.0, -34.0, 151.0, -33.0);
+var VERTEX_STRIDE = 6;
+
+function degreesToRectangle(west, south, east, north) {
+    var toRadians = Math.PI / 180.0;
+    return { west : west * toRadians, south : south * toRadians, east : east * toRadians, north : north * toRadians };
+}
+
+// A regular grid of size by size vertices covering the tile, the way Cesium meshes heightmap terrain.
+// The slicer computes the positions from the texture coordinates and height, so they are left at zero.
+function createGridMesh(size) {
+    var vertices = new Float32Array(size * size * VERTEX_STRIDE);
+    var indices = new Uint32Array((size - 1) * (size - 1) * 6);
+    var i, j;
+    for (j = 0; j < size; j++) {
+        for (i = 0; i < size; i++) {
+            var u = i / (size - 1);
+            var v = j / (size - 1);
+            var bufferIndex = (j * size + i) * VERTEX_STRIDE;
+            vertices[bufferIndex + 3] = 100.0 * Math.sin(u * 7.0) * Math.cos(v * 5.0);
+            vertices[bufferIndex + 4] = u;
+            vertices[bufferIndex + 5] = v;
+        }
+    }
+    var index = 0;
+    for (j = 0; j < size - 1; j++) {
+        for (i = 0; i < size - 1; i++) {
+            var southWest = j * size + i;
+            var northWest = southWest + size;
+            indices[index++] = southWest;
+            indices[index++] = southWest + 1;
+            indices[index++] = northWest + 1;
+            indices[index++] = southWest;
+            indices[index++] = northWest + 1;
+            indices[index++] = northWest;
+        }
+    }
+    return {
+        vertices : vertices,
+        indices : size * size < 64 * 1024 ? new Uint16Array(indices) : indices
+    };
+}
+
+// The four lines along the edges of a rectangle, sliced within the given rectangle.
+function rectangleSliceLines(rectangle, within) {
+    return [
+        { line : { x : 1.0, y : 0.0, z : -rectangle.west }, rectangle : within },
+        { line : { x : 1.0, y : 0.0, z : -rectangle.east }, rectangle : within },
+        { line : { x : 0.0, y : 1.0, z : -rectangle.north }, rectangle : within },
+        { line : { x : 0.0, y : 1.0, z : -rectangle.south }, rectangle : within }
+    ];
+}
+
+function slice(size, sliceLines, walls, elementIndexUint) {
+    var mesh = createGridMesh(size);
+    return slicer.insertPushVertices({
+        sliceLines : sliceLines,
+        vertices : mesh.vertices,
+        indices : mesh.indices,
+        tileRectangle : TILE_RECTANGLE,
+        ellipsoidRadii : WGS84_RADII,
+        center : { x : 0.0, y : 0.0, z : 0.0 },
+        elementIndexUint : elementIndexUint,
+        walls : walls,
+        hasVertexNormals : false
+    });
+}
+
+function getIndices(result) {
+    return result.uint32Indices ? new Uint32Array(result.indices) : new Uint16Array(result.indices);
+}
+
+// Checks the triangles of a sliced mesh and returns the total area of the tile they cover, in texture
+// coordinates. Wall vertices carry a flag in their u coordinate, see GroundPushSlicer. Vertices are told
+// apart by their texture coordinates and by whether they are at the top or the base of a wall, so the
+// faces of the walls have to join up with the surface around and inside the wall rectangle.
+function checkMesh(vertices, indices, wallRectangle) {
+    var vertexCount = vertices.length / VERTEX_STRIDE;
+    var wall;
+    if (wallRectangle !== undefined) {
+        var tileWidth = TILE_RECTANGLE.east - TILE_RECTANGLE.west;
+        var tileHeight = TILE_RECTANGLE.north - TILE_RECTANGLE.south;
+        wall = {
+            west : (wallRectangle.west - TILE_RECTANGLE.west) / tileWidth,
+            south : (wallRectangle.south - TILE_RECTANGLE.south) / tileHeight,
+            east : (wallRectangle.east - TILE_RECTANGLE.west) / tileWidth,
+            north : (wallRectangle.north - TILE_RECTANGLE.south) / tileHeight
+        };
+    }
+
+    var keys = [];
+    var us = [];
+    var vs = [];
+    for (var i = 0; i < vertexCount; i++) {
+        var encodedU = vertices[i * VERTEX_STRIDE + 4];
+        var flag = Math.floor(encodedU * 0.5 + 0.25);
+        var u = encodedU - 2.0 * flag;
+        var v = vertices[i * VERTEX_STRIDE + 5];
+        var base;
+        if (flag === 0) {
+            base = wall !== undefined && u > wall.west && u < wall.east && v > wall.south && v < wall.north;
+        } else {
+            base = flag === 2 || flag === 4;
+        }
+        us.push(u);
+        vs.push(v);
+        // The flag costs the Float32 u a few bits of precision.
+        keys.push(u.toFixed(5) + ',' + v.toFixed(5) + (base ? ',base' : ''));
+    }
+
+    var area = 0.0;
+    var edges = {};
+    for (i = 0; i < indices.length; i += 3) {
+        var a = indices[i];
+        var b = indices[i + 1];
+        var c = indices[i + 2];
+        assert(a < vertexCount && b < vertexCount && c < vertexCount, 'index out of range');
+        var triangleArea = ((us[b] - us[a]) * (vs[c] - vs[a]) - (us[c] - us[a]) * (vs[b] - vs[a])) / 2.0;
+        // Wall faces are vertical, so they have no area in texture coordinates.
+        assert(triangleArea > -1e-9, 'inverted triangle');
+        area += triangleArea;
+
+        var triangle = [a, b, c];
+        for (var k = 0; k < 3; k++) {
+            var edge = keys[triangle[k]] + '>' + keys[triangle[(k + 1) % 3]];
+            edges[edge] = (edges[edge] || 0) + 1;
+        }
+    }
+
+    // Every edge but those along the edges of the tile is shared by a triangle running the other way.
+    var onTileEdge = function(key) {
+        var parts = key.split('>').map(function(vertexKey) {
+            return vertexKey.split(',').map(Number);
+        });
+        return parts[0][0] === parts[1][0] && (parts[0][0] === 0 || parts[0][0] === 1) ||
+            parts[0][1] === parts[1][1] && (parts[0][1] === 0 || parts[0][1] === 1);
+    };
+    for (var key in edges) {
+        if (edges.hasOwnProperty(key)) {
+            var reverse = key.split('>').reverse().join('>');
+            assert.strictEqual(edges[key], 1, 'edge used twice ' + key);
+            assert(edges.hasOwnProperty(reverse) || onTileEdge(key), 'open edge ' + key);
+        }
+    }
+    return area;
+}
+
+var tests = {
+    'slices a tile along the inner and outer rectangles of a region' : function() {
+        var inner = degreesToRectangle(150.3, -33.8, 150.7, -33.4);
+        var outer = degreesToRectangle(150.25, -33.85, 150.75, -33.35);
+        var lines = rectangleSliceLines(inner, outer).concat(rectangleSliceLines(outer, outer));
+        var result = slice(20, lines, [], true);
+        var vertices = new Float32Array(result.vertices);
+        assert(vertices.length / VERTEX_STRIDE > 400, 'no vertices were inserted');
+        assert.strictEqual(result.uint32Indices, false);
+        assert(Math.abs(checkMesh(vertices, getIndices(result)) - 1.0) < 1e-6, 'area of the tile changed');
+    },
+
+    'slices a tile only partly covered by a region' : function() {
+        var inner = degreesToRectangle(150.8, -33.2, 151.5, -32.5);
+        var result = slice(20, rectangleSliceLines(inner, inner), [], true);
+        assert(Math.abs(checkMesh(new Float32Array(result.vertices), getIndices(result)) - 1.0) < 1e-6, 'area of the tile changed');
+    },
+
+    'stitches vertical walls along a region inside the tile' : function() {
+        var inner = degreesToRectangle(150.3, -33.8, 150.7, -33.4);
+        var result = slice(20, rectangleSliceLines(inner, inner), [inner], true);
+        var vertices = new Float32Array(result.vertices);
+        var flagged = 0;
+        for (var i = 0; i < vertices.length; i += VERTEX_STRIDE) {
+            if (vertices[i + 4] > 1.5) {
+                flagged++;
+            }
+        }
+        assert(flagged > 0, 'no wall vertices were flagged');
+        assert(Math.abs(checkMesh(vertices, getIndices(result), inner) - 1.0) < 1e-6, 'area of the tile changed');
+    },
+
+    'uses Uint32 indices for more than 64K vertices' : function() {
+        var line = degreesToRectangle(150.5, -34.0, 150.5, -33.0);
+        var result = slice(256, rectangleSliceLines(line, TILE_RECTANGLE).slice(0, 1), [], true);
+        var vertices = new Float32Array(result.vertices);
+        var vertexCount = vertices.length / VERTEX_STRIDE;
+        assert(vertexCount > 64 * 1024, 'the mesh has too few vertices for the test');
+        assert.strictEqual(result.uint32Indices, true);
+        assert.strictEqual(result.subMeshes, undefined);
+        assert(Math.abs(checkMesh(vertices, getIndices(result)) - 1.0) < 1e-6, 'area of the tile changed');
+    },
+
+    'splits meshes of more than 64K vertices without Uint32 support' : function() {
+        var line = degreesToRectangle(150.5, -34.0, 150.5, -33.0);
+        var result = slice(256, rectangleSliceLines(line, TILE_RECTANGLE).slice(0, 1), [], false);
+        var vertices = new Float32Array(result.vertices);
+        var indices = getIndices(result);
+        assert(result.subMeshes.length > 1, 'the mesh was not split');
+
+        // The sub-meshes hold the triangles of the whole mesh in order, with the same vertices.
+        var triangle = 0;
+        for (var s = 0; s < result.subMeshes.length; s++) {
+            var subMeshVertices = new Float32Array(result.subMeshes[s].vertices);
+            var subMeshIndices = new Uint16Array(result.subMeshes[s].indices);
+            assert(subMeshVertices.length / VERTEX_STRIDE <= 64 * 1024, 'sub-mesh too large for Uint16 indices');
+            for (var i = 0; i < subMeshIndices.length; i++, triangle += (i % 3 === 0) ? 1 : 0) {
+                var vertex = indices[triangle * 3 + i % 3];
+                for (var k = 0; k < VERTEX_STRIDE; k++) {
+                    assert.strictEqual(subMeshVertices[subMeshIndices[i] * VERTEX_STRIDE + k], vertices[vertex * VERTEX_STRIDE + k]);
+                }
+            }
+        }
+        assert.strictEqual(triangle, indices.length / 3);
+    }
+};
+
+var failures = 0;
+for (var name in tests) {
+    if (tests.hasOwnProperty(name)) {
+        try {
+            tests[name]();
+            console.log('ok - ' + name);
+        } catch (e) {
+            failures++;
+            console.log('not ok - ' + name);
+            console.log('    ' + (e instanceof Error ? e.message : e));
+        }
+    }
+}
+process.exitCode = failures > 0 ? 1 : 0;